@@ -0,0 +1,687 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const AuditLog = require('../models/AuditLog');
+const scheduler = require('../jobs');
+const { cancelEvent } = require('../utils/eventLifecycle');
+const { restoreAccount } = require('../utils/trash');
+const { recordEventChanges, buildAuditFilter } = require('../utils/audit');
+const { parseSort, toSortSpec, findCursorPage, parseLimit } = require('../utils/pagination');
+
+// Fields admin listings may be sorted by
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'role', 'status'];
+const EVENT_SORT_FIELDS = ['createdAt', 'date', 'title', 'status', 'capacity', 'currentAttendees'];
+
+// Parse a page number (1 for anything that isn't a positive whole number)
+const parsePage = (page) => {
+  const value = parseInt(page);
+  return Number.isInteger(value) && value > 0 ? value : 1;
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List and search users
+exports.getUsers = async (req, res) => {
+  try {
+    const {
+      search,
+      role,
+      status,
+      sort = '-createdAt'
+    } = req.query;
+
+    const sortOption = parseSort(sort, USER_SORT_FIELDS);
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${USER_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    // Repeated parameters arrive as arrays
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Search must be a single value'
+      });
+    }
+
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit, 20);
+
+    // Build query
+    const query = {};
+
+    // Search by name or email
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role && role !== 'all') {
+      query.role = role;
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort(toSortSpec(sortOption))
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users
+    });
+
+  } catch (error) {
+    console.error('Admin Get Users Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+};
+
+// Change a user's role
+exports.updateUserRole = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be either user or admin'
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin Update Role Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: error.message
+    });
+  }
+};
+
+// Suspend a user account
+exports.suspendUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { reason } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    // Deleted accounts are restored, not suspended or reactivated
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'deleted' } },
+      {
+        status: 'suspended',
+        suspendedAt: new Date(),
+        suspensionReason: reason
+      },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'suspended');
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin Suspend User Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user',
+      error: error.message
+    });
+  }
+};
+
+// Reactivate a suspended user account
+exports.reactivateUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'deleted' } },
+      {
+        status: 'active',
+        $unset: { suspendedAt: 1, suspensionReason: 1 }
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin Reactivate User Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: error.message
+    });
+  }
+};
+
+// Restore a deleted account during its grace period
+exports.restoreUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, status: 'deleted' });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    const restored = await restoreAccount(user);
+
+    if (!restored) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account can no longer be restored'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      data: restored
+    });
+
+  } catch (error) {
+    console.error('Admin Restore User Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore user',
+      error: error.message
+    });
+  }
+};
+
+// List all events, including unpublished ones
+exports.getEvents = async (req, res) => {
+  try {
+    const {
+      search,
+      status,
+      published,
+      sort = '-createdAt'
+    } = req.query;
+
+    const sortOption = parseSort(sort, EVENT_SORT_FIELDS);
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${EVENT_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    // Repeated parameters arrive as arrays
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Search must be a single value'
+      });
+    }
+
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit, 20);
+
+    const query = {};
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (published === 'true') {
+      query.isPublished = { $ne: false };
+    } else if (published === 'false') {
+      query.isPublished = false;
+    }
+
+    const events = await Event.find(query)
+      .populate('organizer', 'name email avatar')
+      .sort(toSortSpec(sortOption))
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Event.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events
+    });
+
+  } catch (error) {
+    console.error('Admin Get Events Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events',
+      error: error.message
+    });
+  }
+};
+
+// Force-cancel any event
+exports.cancelEvent = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const previous = await Event.findById(req.params.id);
+
+    const event = previous && await cancelEvent(
+      { _id: previous._id },
+      { reason: reason || 'Cancelled by an administrator', cancelledBy: req.user.id }
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or already cancelled'
+      });
+    }
+
+    await recordEventChanges(req, previous, event, { operation: 'cancel', reason: event.cancellationReason });
+
+    res.json({
+      success: true,
+      message: 'Event cancelled successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Admin Cancel Event Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel event',
+      error: error.message
+    });
+  }
+};
+
+// Publish or unpublish any event
+exports.setEventPublished = async (req, res) => {
+  try {
+    const { published } = req.body;
+
+    if (typeof published !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide published as true or false'
+      });
+    }
+
+    const event = await Event.findByIdAndUpdate(
+      req.params.id,
+      { isPublished: published },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: published ? 'Event published successfully' : 'Event unpublished successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Admin Publish Event Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event',
+      error: error.message
+    });
+  }
+};
+
+// List reported reviews (most reported first)
+exports.getReportedReviews = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit, 20);
+
+    const query = { reportCount: { $gt: 0 } };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const reviews = await Review.find(query)
+      .select('+reports')
+      .populate('user', 'name email avatar')
+      .populate('event', 'title date')
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+
+  } catch (error) {
+    console.error('Admin Get Reported Reviews Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reported reviews',
+      error: error.message
+    });
+  }
+};
+
+// Hide a review or restore it ({ status: 'visible'|'hidden' }) - restoring dismisses its reports
+exports.setReviewStatus = async (req, res) => {
+  try {
+    const { status } = req.body || {};
+
+    if (!['visible', 'hidden'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either visible or hidden'
+      });
+    }
+
+    const update = status === 'visible'
+      ? { status, reports: [], reportCount: 0, attendeeReportCount: 0 }
+      : { status };
+
+    const review = await Review.findByIdAndUpdate(req.params.id, update, { new: true });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await Review.updateAggregates(review.event, review.organizer);
+
+    res.json({
+      success: true,
+      message: status === 'visible' ? 'Review restored' : 'Review hidden',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Admin Review Status Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review',
+      error: error.message
+    });
+  }
+};
+
+// Search the audit log (?actor=&target=&targetModel=&event=&action=&from=&to=), newest first
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { limit, after, before } = req.query;
+    const { filter, error } = buildAuditFilter(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = await findCursorPage(
+      query => AuditLog.find(query).populate('actor', 'name email'),
+      filter,
+      { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 50, 200), after, before }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
+    });
+
+  } catch (error) {
+    console.error('Admin Get Audit Logs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+// Platform-wide statistics
+exports.getStats = async (req, res) => {
+  try {
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    // Turn [{ _id: key, count }] aggregation output into { key: count }
+    const toCounts = (rows) => rows.reduce((acc, row) => {
+      acc[row._id] = row.count;
+      return acc;
+    }, {});
+
+    const [usersByStatus, eventsByStatus, eventsByCategory, rsvpsByStatus] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      // Trashed events are left out (stated here too, not only by the model's aggregate hook)
+      Event.aggregate([{ $match: { deletedAt: null } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Event.aggregate([{ $match: { deletedAt: null } }, { $group: { _id: '$category', count: { $sum: 1 } } }]),
+      RSVP.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const stats = {
+      users: {
+        total: await User.countDocuments(),
+        admins: await User.countDocuments({ role: 'admin' }),
+        newLast30Days: await User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+        byStatus: toCounts(usersByStatus)
+      },
+      events: {
+        total: await Event.countDocuments(),
+        unpublished: await Event.countDocuments({ isPublished: false }),
+        newLast30Days: await Event.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+        byStatus: toCounts(eventsByStatus),
+        byCategory: toCounts(eventsByCategory)
+      },
+      rsvps: {
+        total: await RSVP.countDocuments(),
+        byStatus: toCounts(rsvpsByStatus)
+      }
+    };
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Admin Stats Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch platform statistics',
+      error: error.message
+    });
+  }
+};
+
+// Background job status and last runs
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await scheduler.getStatus();
+
+    res.json({
+      success: true,
+      data: {
+        instanceId: scheduler.instanceId,
+        jobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin Get Jobs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job status',
+      error: error.message
+    });
+  }
+};
+
+// Run a background job now (skipped if another instance holds its lease)
+exports.runJob = async (req, res) => {
+  try {
+    const summary = await scheduler.runJob(req.params.name);
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job completed',
+      data: summary
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Unknown job')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    console.error('Admin Run Job Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,5 +1,25 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { generateToken, verifyRefreshToken } = require('../utils/generateToken');
+const { createSession, rotateSession } = require('../utils/session');
+const { sendMail } = require('../utils/mailer');
+const { restoreAccount } = require('../utils/trash');
+const { PROFILE_AUDIT_FIELDS, diffFields, recordAudit } = require('../utils/audit');
+
+// Email a fresh verification link to a user (saves the hashed token)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24} hours.\n\n${verifyUrl}`
+  });
+};
 
 // Register new user
 exports.register = async (req, res) => {
@@ -34,8 +54,15 @@ exports.register = async (req, res) => {
       avatar: avatarUrl
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification Email Error:', mailError);
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Return user without password
     const userResponse = {
@@ -44,6 +71,7 @@ exports.register = async (req, res) => {
       email: user.email,
       avatar: user.avatar,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
       createdAt: user.createdAt
     };
 
@@ -52,7 +80,8 @@ exports.register = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -92,7 +121,17 @@ exports.login = async (req, res) => {
     // Find user (include password for comparison)
     const user = await User.findOne({ email }).select('+password');
 
+    // Record failed attempts with the email that was tried
+    const auditFailure = (reason) => recordAudit(req, {
+      action: 'auth.login_failed',
+      actor: user ? user._id : null,
+      targetModel: user ? 'User' : undefined,
+      target: user ? user._id : undefined,
+      metadata: { email, reason }
+    });
+
     if (!user) {
+      await auditFailure('unknown-email');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -103,14 +142,40 @@ exports.login = async (req, res) => {
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await auditFailure('wrong-password');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.status === 'suspended') {
+      await auditFailure('suspended');
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    if (user.status === 'deleted') {
+      await auditFailure('deleted');
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deleted. You can restore it until it is permanently removed.',
+        data: { purgeAt: user.purgeAt }
+      });
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken, session } = await createSession(user._id, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user._id,
+      targetModel: 'User',
+      target: user._id,
+      metadata: { session: session._id }
+    });
 
     // Return user without password
     const userResponse = {
@@ -119,6 +184,7 @@ exports.login = async (req, res) => {
       email: user.email,
       avatar: user.avatar,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
       createdAt: user.createdAt
     };
 
@@ -127,7 +193,8 @@ exports.login = async (req, res) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -141,6 +208,59 @@ exports.login = async (req, res) => {
   }
 };
 
+// Restore a deleted account during its grace period ({ email, password })
+exports.restoreAccount = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (user.status !== 'deleted') {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not deleted'
+      });
+    }
+
+    // Brings back the events trashed with the account
+    const restored = await restoreAccount(user);
+
+    if (!restored) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account can no longer be restored'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account restored. Please login again.'
+    });
+
+  } catch (error) {
+    console.error('Restore Account Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore account',
+      error: error.message
+    });
+  }
+};
+
 // Get current user
 exports.getMe = async (req, res) => {
   try {
@@ -173,11 +293,21 @@ exports.updateProfile = async (req, res) => {
   try {
     const { name, bio, avatar } = req.body;
 
+    // Passwords have their own flow that checks the current password
+    if (req.body.password || req.body.newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use /api/auth/change-password to update your password'
+      });
+    }
+
     const fieldsToUpdate = {};
     if (name) fieldsToUpdate.name = name;
     if (bio !== undefined) fieldsToUpdate.bio = bio;
     if (avatar) fieldsToUpdate.avatar = avatar;
 
+    const previous = await User.findById(req.user.id).select(PROFILE_AUDIT_FIELDS.join(' '));
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       fieldsToUpdate,
@@ -194,6 +324,18 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
+    // Keep a history of profile changes
+    const changes = diffFields(previous.toObject(), user.toObject(), PROFILE_AUDIT_FIELDS);
+
+    if (changes.length) {
+      await recordAudit(req, {
+        action: 'user.profile_updated',
+        targetModel: 'User',
+        target: user._id,
+        changes
+      });
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -217,4 +359,456 @@ exports.updateProfile = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Exchange a refresh token for a new token pair (rotation)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    const tokens = await rotateSession(decoded, refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+// Logout (revoke current session)
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, user: req.user.id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// Logout from all devices (revoke every session)
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout-all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices successfully',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// Get current user's active sessions (devices)
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    const data = sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+// Revoke a single session (e.g. a lost device)
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// Request a password reset email
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Only send mail when the account exists, but always answer the same way
+    // so the endpoint cannot be used to discover registered emails
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password?token=${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+        });
+      } catch (mailError) {
+        // Don't leave a usable token behind if the email never went out, but
+        // answer as usual - a failure here would reveal that the account exists
+        console.error('Password Reset Email Error:', mailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+};
+
+// Reset password with a token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password'
+      });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: tokenHash,
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // Set the new password and clear the token in one save - a password that
+    // fails validation leaves the token usable for another attempt
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+
+    // ATOMIC UPDATE - Only save if the token hasn't been used in the meantime
+    user.$where = { passwordResetToken: tokenHash };
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.name === 'DocumentNotFoundError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset token is invalid or has expired'
+        });
+      }
+      throw saveError;
+    }
+
+    // Sign out everywhere - whoever had the old password loses access
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+// Change password (requires current password)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in, revoke every other session
+    await Session.revokeAllForUser(user._id, 'password-change', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        // Earlier access tokens predate the change and are now rejected
+        token: generateToken(user._id, req.sessionId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Change Password Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+};
+
+// Verify email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification token'
+      });
+    }
+
+    // ATOMIC UPDATE - Mark verified and consume the token in one step
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: crypto.createHash('sha256').update(token).digest('hex'),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// Resend the verification email (throttled)
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle: one email per cooldown window
+    const cooldownMs = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+    const nextAllowedAt = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + cooldownMs
+      : 0;
+
+    if (nextAllowedAt > Date.now()) {
+      const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const { buildCalendar } = require('../utils/ical');
+const { resolveEventAccess } = require('../utils/eventAccess');
+
+// Link back to an event page in the client app
+const eventUrl = (event) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/events/${event._id}`;
+
+// Public URL of a user's calendar feed
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// Send an iCalendar document
+const sendCalendar = (res, ics, fileName) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (fileName) {
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  }
+  res.send(ics);
+};
+
+// Export a single event as .ics
+exports.getEventICS = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('organizer', 'name email');
+
+    // Unpublished events are only visible to their team and admins
+    const canSeeUnpublished = req.user &&
+      (req.user.role === 'admin' || (event && event.can(req.user.id, 'view')));
+
+    // Private events also need access (team, invitee or attendee)
+    const access = event ? await resolveEventAccess(event, req.user, req.query.invite) : { allowed: false };
+
+    if (!event || !access.allowed || (event.isPublished === false && !canSeeUnpublished)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    sendCalendar(res, buildCalendar([event], { eventUrl }), `event-${event._id}.ics`);
+
+  } catch (error) {
+    console.error('Event ICS Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export event',
+      error: error.message
+    });
+  }
+};
+
+// Get (or create) the current user's calendar feed URL
+exports.getFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex');
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        url: feedUrl(req, user.calendarToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Replace the calendar feed token (old subscription URLs stop working)
+exports.regenerateFeedUrl = async (req, res) => {
+  try {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+
+    await User.findByIdAndUpdate(req.user.id, { calendarToken });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL regenerated successfully',
+      data: {
+        url: feedUrl(req, calendarToken)
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Subscription feed: confirmed RSVPs plus events the user organizes
+exports.getFeed = async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const user = await User.findOne({ calendarToken: token, status: { $ne: 'deleted' } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    // Confirmed RSVPs, plus those cancelled by the event itself so cancelled
+    // events stay in the feed and clients can show STATUS:CANCELLED
+    const attendingIds = await RSVP.find({
+      user: user._id,
+      $or: [
+        { status: 'confirmed' },
+        { status: 'cancelled', cancellationReason: 'event_cancelled' }
+      ]
+    }).distinct('event');
+
+    // Trashed events are included too (as cancelled) so subscribed calendars
+    // drop them instead of keeping a stale copy
+    const events = await Event.find({
+      $or: [
+        { _id: { $in: attendingIds } },
+        { organizer: user._id }
+      ]
+    })
+    .setOptions({ withDeleted: true })
+    .populate('organizer', 'name email')
+    .sort('date');
+
+    res.set('Cache-Control', 'private, max-age=900');
+    sendCalendar(res, buildCalendar(events, { name: `${user.name} - Events`, eventUrl }));
+
+  } catch (error) {
+    console.error('Calendar Feed Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
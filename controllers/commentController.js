@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Comment = require('../models/Comment');
+const RSVP = require('../models/RSVP');
+const { resolveEventAccess } = require('../utils/eventAccess');
+const { findCursorPage, parseLimit } = require('../utils/pagination');
+
+// Maximum pinned comments per event
+const MAX_PINNED = 3;
+
+const AUTHOR_FIELDS = 'name avatar';
+
+// Load an event the current user can see (responds with 404 otherwise)
+const loadEvent = async (req, res) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id).select('title organizer staff visibility isPublished commentPolicy')
+    : null;
+
+  const canSeeUnpublished = req.user &&
+    (req.user.role === 'admin' || (event && event.can(req.user.id, 'view')));
+  const access = event ? await resolveEventAccess(event, req.user, req.query.invite) : { allowed: false };
+
+  if (!event || !access.allowed || (event.isPublished === false && !canSeeUnpublished)) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Load a comment of the event (deleted comments, or those outside statuses, count as missing)
+const loadComment = async (req, res, event, statuses) => {
+  const status = statuses ? { $in: statuses } : { $ne: 'deleted' };
+  const comment = mongoose.isValidObjectId(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, event: event._id, status })
+    : null;
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// Owner and co-organizers moderate; admins can too
+const canModerate = (event, user) => !!user && (user.role === 'admin' || event.can(user.id, 'moderate'));
+
+// Statuses a user may see (moderators also see hidden comments)
+const visibleStatuses = (event, user) => (canModerate(event, user) ? ['visible', 'hidden'] : ['visible']);
+
+// Respond with a cursor page of comments
+const sendPage = (res, page, extra = {}) => {
+  if (!page) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired cursor'
+    });
+  }
+
+  res.json({
+    success: true,
+    count: page.items.length,
+    ...extra,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+    data: page.items
+  });
+};
+
+// List top-level comments (pinned ones first, then newest)
+exports.getComments = async (req, res) => {
+  try {
+    const { limit, after, before } = req.query;
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const filter = {
+      event: event._id,
+      parent: null,
+      status: { $in: visibleStatuses(event, req.user) }
+    };
+
+    // Pinned comments sit above the paginated list on the first page
+    const pinned = after || before
+      ? undefined
+      : await Comment.find({ ...filter, isPinned: true })
+          .populate('author', AUTHOR_FIELDS)
+          .sort({ pinnedAt: -1 });
+
+    const page = await findCursorPage(
+      query => Comment.find(query).populate('author', AUTHOR_FIELDS),
+      { ...filter, isPinned: { $ne: true } },
+      { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 20), after, before }
+    );
+
+    sendPage(res, page, {
+      commentPolicy: event.commentPolicy,
+      ...(pinned && { pinned })
+    });
+
+  } catch (error) {
+    console.error('Get Comments Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments',
+      error: error.message
+    });
+  }
+};
+
+// List replies to a comment (oldest first)
+exports.getReplies = async (req, res) => {
+  try {
+    const { limit, after, before } = req.query;
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    // Replies under a hidden comment are hidden with it
+    const statuses = visibleStatuses(event, req.user);
+    const comment = await loadComment(req, res, event, statuses);
+    if (!comment) return;
+
+    const page = await findCursorPage(
+      query => Comment.find(query).populate('author', AUTHOR_FIELDS),
+      {
+        event: event._id,
+        parent: comment._id,
+        status: { $in: statuses }
+      },
+      { sort: { field: 'createdAt', direction: 1 }, limit: parseLimit(limit, 20), after, before }
+    );
+
+    sendPage(res, page);
+
+  } catch (error) {
+    console.error('Get Replies Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch replies',
+      error: error.message
+    });
+  }
+};
+
+// Post a comment or a reply ({ body, parentId })
+exports.createComment = async (req, res) => {
+  try {
+    const { body, parentId } = req.body || {};
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a comment'
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const isTeam = event.can(req.user.id, 'moderate');
+
+    // Step 1: Check the event's posting policy (the event team can always post)
+    if (!isTeam) {
+      if (event.commentPolicy === 'disabled') {
+        return res.status(403).json({
+          success: false,
+          message: 'Comments are disabled for this event'
+        });
+      }
+
+      if (event.commentPolicy === 'attendees') {
+        const attending = await RSVP.exists({ user: req.user.id, event: event._id, status: 'confirmed' });
+
+        if (!attending) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only confirmed attendees can comment on this event'
+          });
+        }
+      }
+    }
+
+    // Step 2: Replies attach to the top-level comment of the thread
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.isValidObjectId(parentId)
+        ? await Comment.findOne({ _id: parentId, event: event._id, status: 'visible' })
+        : null;
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment to reply to not found'
+        });
+      }
+
+      if (parent.parent) {
+        parent = await Comment.findOne({ _id: parent.parent, status: 'visible' });
+
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Comment to reply to not found'
+          });
+        }
+      }
+    }
+
+    // Step 3: Create comment (answers from the event team are official)
+    const comment = await Comment.create({
+      event: event._id,
+      author: req.user.id,
+      parent: parent ? parent._id : null,
+      body: String(body),
+      isOfficial: isTeam
+    });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply posted' : 'Comment posted',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post comment',
+      error: error.message
+    });
+  }
+};
+
+// Edit own comment
+exports.updateComment = async (req, res) => {
+  try {
+    const { body } = req.body || {};
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a comment'
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    comment.body = String(body);
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Update Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message
+    });
+  }
+};
+
+// Delete a comment (author or moderators) - deleting a comment removes its replies too
+exports.deleteComment = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    const isAuthor = comment.author.toString() === req.user.id;
+    const isModerator = canModerate(event, req.user);
+
+    if (!isAuthor && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    const deletion = {
+      $set: {
+        status: 'deleted',
+        isPinned: false,
+        ...(!isAuthor && { moderatedBy: req.user.id, moderatedAt: new Date() })
+      },
+      $unset: { body: 1 }
+    };
+
+    await Comment.updateOne({ _id: comment._id }, deletion);
+
+    if (comment.parent) {
+      await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+    } else {
+      await Comment.updateMany({ parent: comment._id, status: { $ne: 'deleted' } }, deletion);
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+};
+
+// Pin or unpin a top-level comment ({ pinned: true|false }) - moderators only
+exports.pinComment = async (req, res) => {
+  try {
+    const pinned = (req.body || {}).pinned !== false;
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canModerate(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate comments on this event'
+      });
+    }
+
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    if (comment.parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only top-level comments can be pinned'
+      });
+    }
+
+    if (pinned && !comment.isPinned &&
+        await Comment.countDocuments({ event: event._id, isPinned: true, status: { $ne: 'deleted' } }) >= MAX_PINNED) {
+      return res.status(400).json({
+        success: false,
+        message: `You can pin up to ${MAX_PINNED} comments`
+      });
+    }
+
+    comment.isPinned = pinned;
+    comment.pinnedAt = pinned ? new Date() : undefined;
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: pinned ? 'Comment pinned' : 'Comment unpinned',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Pin Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pin comment',
+      error: error.message
+    });
+  }
+};
+
+// Hide or unhide a comment ({ hidden: true|false }) - moderators only
+exports.hideComment = async (req, res) => {
+  try {
+    const hidden = (req.body || {}).hidden !== false;
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canModerate(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate comments on this event'
+      });
+    }
+
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    comment.status = hidden ? 'hidden' : 'visible';
+    comment.moderatedBy = req.user.id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: hidden ? 'Comment hidden' : 'Comment visible again',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Hide Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
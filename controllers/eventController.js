@@ -1,10 +1,109 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const RSVP = require('../models/RSVP');
+const AuditLog = require('../models/AuditLog');
+const { resolveEventAccess } = require('../utils/eventAccess');
+const { notifyAttendees, describeEventChanges } = require('../utils/notifications');
+const { dispatchWebhookEvent, eventWebhookData } = require('../utils/webhooks');
+const { publishAttendance, publishStatus } = require('../utils/liveEvents');
+const { fillOpenSeats } = require('../utils/waitlist');
+const { cancelEvent, postponeEvent } = require('../utils/eventLifecycle');
+const { trashEvent, restoreEvent } = require('../utils/trash');
+const { EVENT_AUDIT_FIELDS, diffFields, recordAudit, recordEventChanges, buildAuditFilter } = require('../utils/audit');
+const { parseLatLng, toPoint, parseBoundingBox } = require('../utils/geo');
+const { parseTags } = require('../utils/tags');
+const {
+  parseSort,
+  toSortSpec,
+  encodeCursor,
+  findCursorPage,
+  parseLimit
+} = require('../utils/pagination');
+
+// Fields event listings may be sorted by
+const EVENT_SORT_FIELDS = ['date', 'endDate', 'createdAt', 'title', 'capacity', 'currentAttendees'];
+
+// Fields organizers can change through updateEvent - everything else (trash,
+// series, publishing, staff, counts, ratings, status) is managed by its own flow
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'endDate',
+  'duration',
+  'timezone',
+  'location',
+  'venue',
+  'coordinates',
+  'capacity',
+  'image',
+  'category',
+  'tags',
+  'visibility',
+  'commentPolicy'
+];
+
+// Maximum number of tags returned in the facet counts
+const TAG_FACET_LIMIT = 50;
+
+// Parse an optional date query parameter (undefined if absent, null if invalid)
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Count matching events per category and per tag (stages must start the pipeline, e.g. $match or $geoNear)
+const getFacetCounts = async (stages) => {
+  const [result] = await Event.aggregate([
+    ...stages,
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TAG_FACET_LIMIT }
+        ]
+      }
+    }
+  ]);
+
+  const toList = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+  return {
+    categories: toList(result.categories),
+    tags: toList(result.tags)
+  };
+};
 
 // Create new event
 exports.createEvent = async (req, res) => {
   try {
-    const { title, description, date, location, capacity, image, category } = req.body;
+    const {
+      title,
+      description,
+      date,
+      endDate,
+      duration,
+      timezone,
+      location,
+      venue,
+      coordinates,
+      capacity,
+      image,
+      category,
+      tags,
+      visibility,
+      commentPolicy
+    } = req.body;
 
     // Validation
     if (!title || !description || !date || !location || !capacity || !image) {
@@ -14,18 +113,51 @@ exports.createEvent = async (req, res) => {
       });
     }
 
+    // End time comes from endDate or duration (minutes); defaults applied by the model
+    const end = Event.computeEndDate(date, { endDate, duration });
+    if (end && !(end > new Date(date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event end time must be after the start time'
+      });
+    }
+
+    // Optional venue coordinates as { lat, lng } or "lat,lng"
+    const point = coordinates ? parseLatLng(coordinates) : null;
+    if (coordinates && !point) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates must be a valid latitude and longitude'
+      });
+    }
+
     // Create event
     const event = await Event.create({
       title,
       description,
       date,
+      endDate: end || undefined,
+      timezone,
       location,
+      venue,
+      geo: point ? toPoint(point) : undefined,
       capacity,
       image,
       category,
+      tags: tags ? parseTags(tags) : undefined,
+      visibility,
+      commentPolicy,
       organizer: req.user.id
     });
 
+    await recordAudit(req, {
+      action: 'event.created',
+      targetModel: 'Event',
+      target: event._id,
+      event: event._id,
+      changes: diffFields({}, event.toObject(), EVENT_AUDIT_FIELDS)
+    });
+
     // Populate organizer details
     await event.populate('organizer', 'name email avatar');
 
@@ -54,11 +186,35 @@ exports.getAllEvents = async (req, res) => {
       status = 'upcoming',
       sort = '-date',
       page = 1,
-      limit = 12
+      limit = 12,
+      near,
+      radius = 25,
+      bbox,
+      after,
+      before,
+      dateFrom,
+      dateTo,
+      tags,
+      tagMatch = 'any',
+      available,
+      organizer,
+      minCapacity,
+      maxCapacity
     } = req.query;
 
-    // Build query
-    const query = {};
+    // Only whitelisted fields - never pass the raw query string to Mongoose
+    const sortOption = parseSort(sort, EVENT_SORT_FIELDS);
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${EVENT_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    const pageLimit = parseLimit(limit, 12);
+
+    // Build query (events unpublished by an admin, unlisted and private events are hidden)
+    const query = { isPublished: { $ne: false }, ...Event.listedFilter() };
 
     // Search by title or description
     if (search) {
@@ -80,25 +236,228 @@ exports.getAllEvents = async (req, res) => {
       query.date = { $gte: new Date() };
     }
 
+    // Filter by start date range: dateFrom / dateTo (inclusive)
+    const from = parseDateParam(dateFrom);
+    const to = parseDateParam(dateTo);
+
+    if (from === null || to === null || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dateFrom and dateTo must be valid dates, with dateFrom before dateTo'
+      });
+    }
+
+    if (from) {
+      const current = query.date && query.date.$gte;
+      query.date = { ...query.date, $gte: current && current > from ? current : from };
+    }
+
+    if (to) {
+      query.date = { ...query.date, $lte: to };
+    }
+
+    // Filter by tags: tags=a,b with tagMatch=any (default) or all
+    if (tags) {
+      if (!['any', 'all'].includes(tagMatch)) {
+        return res.status(400).json({
+          success: false,
+          message: 'tagMatch must be either any or all'
+        });
+      }
+
+      const tagList = parseTags(tags);
+      if (tagList.length) {
+        query.tags = tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
+      }
+    }
+
+    // Only events with available spots (capacity - currentAttendees > 0)
+    if (available === 'true') {
+      query.$expr = { $lt: ['$currentAttendees', '$capacity'] };
+    }
+
+    // Filter by organizer
+    if (organizer) {
+      if (!mongoose.isValidObjectId(organizer)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid organizer id'
+        });
+      }
+
+      // Cast explicitly - aggregation pipelines skip Mongoose casting
+      query.organizer = new mongoose.Types.ObjectId(organizer);
+    }
+
+    // Filter by capacity range
+    if (minCapacity !== undefined || maxCapacity !== undefined) {
+      const min = minCapacity !== undefined ? Number(minCapacity) : undefined;
+      const max = maxCapacity !== undefined ? Number(maxCapacity) : undefined;
+
+      if ([min, max].some(value => value !== undefined && !Number.isFinite(value)) ||
+          (min !== undefined && max !== undefined && min > max)) {
+        return res.status(400).json({
+          success: false,
+          message: 'minCapacity and maxCapacity must be numbers, with minCapacity not above maxCapacity'
+        });
+      }
+
+      query.capacity = {};
+      if (min !== undefined) query.capacity.$gte = min;
+      if (max !== undefined) query.capacity.$lte = max;
+    }
+
+    if (near && bbox) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either near or bbox, not both'
+      });
+    }
+
+    // Restrict to a map viewport: bbox=minLng,minLat,maxLng,maxLat
+    if (bbox) {
+      const box = parseBoundingBox(bbox);
+
+      if (!box) {
+        return res.status(400).json({
+          success: false,
+          message: 'bbox must be minLng,minLat,maxLng,maxLat'
+        });
+      }
+
+      query.geo = { $geoWithin: { $geometry: box } };
+    }
+
     // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const skip = (pageNumber - 1) * pageLimit;
 
-    // Execute query
-    const events = await Event.find(query)
-      .populate('organizer', 'name email avatar')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Events near a point: near=lat,lng&radius=km, sorted by distance
+    if (near) {
+      const origin = parseLatLng(near);
+      const radiusKm = parseFloat(radius);
 
-    // Get total count for pagination
-    const total = await Event.countDocuments(query);
+      if (!origin || !(radiusKm > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'near must be lat,lng and radius a positive number of kilometres'
+        });
+      }
+
+      // $geoNear can't be combined with a $text query
+      if (search) {
+        return res.status(400).json({
+          success: false,
+          message: 'Text search cannot be combined with near'
+        });
+      }
+
+      // Results are ordered by distance, so only page mode applies
+      if (after || before) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available with near - use page instead'
+        });
+      }
+
+      const geoNear = {
+        $geoNear: {
+          near: toPoint(origin),
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query
+        }
+      };
+
+      const [[result], nearbyFacets] = await Promise.all([
+        Event.aggregate([
+          geoNear,
+          {
+            $facet: {
+              data: [{ $skip: skip }, { $limit: pageLimit }],
+              total: [{ $count: 'count' }]
+            }
+          }
+        ]),
+        getFacetCounts([geoNear])
+      ]);
+
+      const docs = result.data.map(doc => Event.hydrate(doc));
+      await Event.populate(docs, { path: 'organizer', select: 'name email avatar' });
+
+      const nearbyEvents = docs.map((doc, index) => ({
+        ...doc.toJSON(),
+        distanceKm: Math.round(result.data[index].distance / 10) / 100
+      }));
+      const nearbyTotal = result.total.length ? result.total[0].count : 0;
+
+      return res.json({
+        success: true,
+        count: nearbyEvents.length,
+        total: nearbyTotal,
+        page: pageNumber,
+        pages: Math.ceil(nearbyTotal / pageLimit),
+        facets: nearbyFacets,
+        data: nearbyEvents
+      });
+    }
+
+    // Category and tag counts for the current filter set (for filter sidebars)
+    const facetStages = [{ $match: query }];
+
+    // Cursor mode: after/before tokens from a previous response
+    if (after || before) {
+      const [cursorPage, cursorFacets] = await Promise.all([
+        findCursorPage(
+          filter => Event.find(filter).populate('organizer', 'name email avatar'),
+          query,
+          { sort: sortOption, limit: pageLimit, after, before }
+        ),
+        getFacetCounts(facetStages)
+      ]);
+
+      if (!cursorPage) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired cursor'
+        });
+      }
+
+      return res.json({
+        success: true,
+        count: cursorPage.items.length,
+        hasMore: cursorPage.hasMore,
+        nextCursor: cursorPage.nextCursor,
+        prevCursor: cursorPage.prevCursor,
+        facets: cursorFacets,
+        data: cursorPage.items
+      });
+    }
+
+    // Page mode (kept for backward compatibility)
+    const [events, total, facets] = await Promise.all([
+      Event.find(query)
+        .populate('organizer', 'name email avatar')
+        .sort(toSortSpec(sortOption))
+        .skip(skip)
+        .limit(pageLimit),
+      // Get total count for pagination
+      Event.countDocuments(query),
+      getFacetCounts(facetStages)
+    ]);
 
     res.json({
       success: true,
       count: events.length,
       total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
+      page: pageNumber,
+      pages: Math.ceil(total / pageLimit),
+      // Lets clients switch to cursor mode from any page
+      nextCursor: events.length && skip + events.length < total
+        ? encodeCursor(events[events.length - 1], sortOption)
+        : null,
+      facets,
       data: events
     });
 
@@ -119,7 +478,20 @@ exports.getEventById = async (req, res) => {
       .populate('organizer', 'name email avatar')
       .populate('attendees', 'name email avatar');
 
-    if (!event) {
+    // Unpublished events are only visible to their team and admins
+    const canSeeUnpublished = req.user &&
+      (req.user.role === 'admin' || (event && event.can(req.user.id, 'view')));
+
+    if (!event || (event.isPublished === false && !canSeeUnpublished)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Private events look the same as missing ones to anyone without access
+    const access = await resolveEventAccess(event, req.user, req.query.invite);
+    if (!access.allowed) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -137,11 +509,28 @@ exports.getEventById = async (req, res) => {
       hasRSVP = !!rsvp;
     }
 
+    // Attendance figures are only shown to the event team
+    const eventRole = req.user ? event.getRole(req.user.id) : null;
+    let attendance;
+    if (req.user && event.can(req.user.id, 'view-attendees')) {
+      const [confirmed, checkedIn] = await Promise.all([
+        RSVP.countDocuments({ event: event._id, status: 'confirmed' }),
+        RSVP.countDocuments({ event: event._id, status: 'confirmed', checkedInAt: { $ne: null } })
+      ]);
+      attendance = { confirmed, checkedIn };
+    }
+
+    // The staff list (including pending invites) is only shown to the event team
+    const { staff, ...eventData } = event.toObject();
+
     res.json({
       success: true,
       data: {
-        ...event.toObject(),
-        hasRSVP
+        ...eventData,
+        ...(eventRole && { staff }),
+        hasRSVP,
+        eventRole,
+        ...(attendance && { attendance })
       }
     });
 
@@ -155,7 +544,7 @@ exports.getEventById = async (req, res) => {
   }
 };
 
-// Update event (only by organizer)
+// Update event (owner and co-organizers)
 exports.updateEvent = async (req, res) => {
   try {
     let event = await Event.findById(req.params.id);
@@ -167,32 +556,137 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer
-    if (event.organizer.toString() !== req.user.id) {
+    // Owner and co-organizers can edit
+    if (!event.can(req.user.id, 'edit')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this event'
       });
     }
 
+    // Only take the editable fields from the request
+    const body = req.body || {};
+    const updates = EDITABLE_FIELDS.reduce((picked, field) => {
+      if (body[field] !== undefined) {
+        picked[field] = body[field];
+      }
+      return picked;
+    }, {});
+
     // Don't allow capacity reduction below current attendees
-    if (req.body.capacity && req.body.capacity < event.currentAttendees) {
+    if (updates.capacity !== undefined && updates.capacity < event.currentAttendees) {
       return res.status(400).json({
         success: false,
         message: `Cannot reduce capacity below current attendees (${event.currentAttendees})`
       });
     }
 
+    // Status only changes through cancel, postpone and restore (they keep RSVPs in
+    // step and notify attendees) and the event-status job
+    if (body.status !== undefined && body.status !== event.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event status cannot be changed here - use the cancel or postpone endpoints'
+      });
+    }
+
+    if (updates.tags !== undefined) {
+      updates.tags = updates.tags ? parseTags(updates.tags) : [];
+    }
+
+    // Keep start/end consistent: moving the start keeps the duration unless a new end is given
+    const { date, endDate, duration } = updates;
+    if (date || endDate || duration !== undefined) {
+      const start = date ? new Date(date) : event.date;
+      const end = Event.computeEndDate(start, { endDate, duration }) ||
+        new Date(start.getTime() + (event.endsAt - event.date));
+
+      if (!(end > start)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event end time must be after the start time'
+        });
+      }
+
+      updates.endDate = end;
+      delete updates.duration;
+    }
+
+    // Venue coordinates: { lat, lng } / "lat,lng" to set, null to remove
+    if (updates.coordinates !== undefined) {
+      const { coordinates } = updates;
+      delete updates.coordinates;
+
+      if (coordinates === null) {
+        updates.$unset = { geo: 1 };
+      } else {
+        const point = parseLatLng(coordinates);
+
+        if (!point) {
+          return res.status(400).json({
+            success: false,
+            message: 'Coordinates must be a valid latitude and longitude'
+          });
+        }
+
+        updates.geo = toPoint(point);
+      }
+    }
+
+    const previous = {
+      date: event.date,
+      location: event.location,
+      status: event.status,
+      capacity: event.capacity
+    };
+    const ownerId = event.organizer;
+    const before = event.toObject();
+
     // Update event
     event = await Event.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
     ).populate('organizer', 'name email avatar');
 
+    // Let attendees know about changes that affect them
+    const changes = describeEventChanges(previous, event);
+
+    if (changes.length) {
+      await notifyAttendees(event._id, {
+        type: 'event_updated',
+        title: `${event.title} has been updated`,
+        message: `${changes.join('. ')}.`,
+        data: { eventTitle: event.title, changes }
+      }, { exclude: req.user.id });
+    }
+
+    // Extra seats go to the waitlist first
+    if (event.capacity > previous.capacity) {
+      const promoted = await fillOpenSeats(event._id);
+      event.currentAttendees += promoted.length;
+    }
+
+    // Live updates for open event pages
+    if (event.capacity !== previous.capacity) {
+      await publishAttendance(event._id);
+    }
+    if (event.status !== previous.status) {
+      await publishStatus(event);
+    }
+
+    await dispatchWebhookEvent(ownerId, 'event.updated', {
+      event: eventWebhookData(event),
+      changedFields: Object.keys(updates).filter(field => !field.startsWith('$')),
+      updatedBy: req.user.id
+    });
+
+    // Keep a history of what changed and who changed it
+    await recordEventChanges(req, before, event);
+
     res.json({
       success: true,
       message: 'Event updated successfully',
@@ -209,7 +703,175 @@ exports.updateEvent = async (req, res) => {
   }
 };
 
-// Delete event (only by organizer)
+// Cancel event with a reason (owner only) - keeps the event and its RSVPs
+exports.cancelEvent = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a cancellation reason'
+      });
+    }
+
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.can(req.user.id, 'cancel')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this event'
+      });
+    }
+
+    if (event.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed events cannot be cancelled'
+      });
+    }
+
+    const cancelled = await cancelEvent(
+      { _id: event._id, status: { $in: ['upcoming', 'ongoing'] } },
+      { reason: String(reason).trim(), cancelledBy: req.user.id }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is already cancelled'
+      });
+    }
+
+    await recordEventChanges(req, event, cancelled, { operation: 'cancel', reason: cancelled.cancellationReason });
+
+    res.json({
+      success: true,
+      message: 'Event cancelled successfully',
+      data: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel Event Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel event',
+      error: error.message
+    });
+  }
+};
+
+// Postpone event to a new date ({ date, endDate|duration, reason, requireReconfirmation, reconfirmBy })
+exports.postponeEvent = async (req, res) => {
+  try {
+    const { date, endDate, duration, reason, requireReconfirmation = true, reconfirmBy } = req.body || {};
+
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Owner and co-organizers can move an event
+    if (!event.can(req.user.id, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to postpone this event'
+      });
+    }
+
+    if (!['upcoming', 'ongoing'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${event.status} event cannot be postponed`
+      });
+    }
+
+    // Step 1: Validate the new schedule (the duration is kept unless a new end is given)
+    const start = date ? new Date(date) : null;
+
+    if (!start || isNaN(start.getTime()) || start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new start date in the future'
+      });
+    }
+
+    const end = Event.computeEndDate(start, { endDate, duration }) ||
+      new Date(start.getTime() + (event.endsAt - event.date));
+
+    if (!(end > start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event end time must be after the start time'
+      });
+    }
+
+    // Step 2: Validate the reconfirmation deadline
+    const reconfirm = requireReconfirmation !== false && requireReconfirmation !== 'false';
+    let deadline;
+
+    if (reconfirm && reconfirmBy !== undefined) {
+      deadline = new Date(reconfirmBy);
+
+      if (isNaN(deadline.getTime()) || deadline <= new Date() || deadline > start) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reconfirmation deadline must be in the future and before the new start date'
+        });
+      }
+    }
+
+    // Step 3: Move the event and notify attendees
+    const postponed = await postponeEvent(event, {
+      date: start,
+      endDate: end,
+      reason: reason ? String(reason).trim() : undefined,
+      requireReconfirmation: reconfirm,
+      reconfirmBy: deadline,
+      postponedBy: req.user.id
+    });
+
+    if (!postponed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event can no longer be postponed'
+      });
+    }
+
+    await recordEventChanges(req, event, postponed, { operation: 'postpone', reason: postponed.postponementReason });
+
+    res.json({
+      success: true,
+      message: 'Event postponed successfully',
+      data: postponed
+    });
+
+  } catch (error) {
+    console.error('Postpone Event Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to postpone event',
+      error: error.message
+    });
+  }
+};
+
+// Delete event (owner only) - moves it to the trash, where it can be restored until purged
 exports.deleteEvent = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -221,23 +883,33 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer
-    if (event.organizer.toString() !== req.user.id) {
+    // Only the owner can delete
+    if (!event.can(req.user.id, 'delete')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this event'
       });
     }
 
-    // Delete all associated RSVPs
-    await RSVP.deleteMany({ event: event._id });
+    // Keeps RSVPs, comments and reviews until the trash-purge job removes them
+    const trashed = await trashEvent(event, { deletedBy: req.user.id });
 
-    // Delete event
-    await event.deleteOne();
+    if (trashed) {
+      await recordAudit(req, {
+        action: 'event.deleted',
+        targetModel: 'Event',
+        target: trashed._id,
+        event: trashed._id,
+        metadata: { title: trashed.title, purgeAt: trashed.purgeAt }
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: 'Event moved to trash',
+      data: {
+        purgeAt: trashed ? trashed.purgeAt : null
+      }
     });
 
   } catch (error) {
@@ -253,14 +925,33 @@ exports.deleteEvent = async (req, res) => {
 // Get events created by current user
 exports.getMyEvents = async (req, res) => {
   try {
-    const events = await Event.find({ organizer: req.user.id })
+    const { scope = 'owned' } = req.query;
+
+    // owned: events I organize, staff: events I help run, all: both
+    const filters = {
+      owned: { organizer: req.user.id },
+      staff: { staff: { $elemMatch: { user: req.user.id, status: 'active' } } },
+      all: Event.teamFilter(req.user.id)
+    };
+
+    if (!filters[scope]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be one of: owned, staff, all'
+      });
+    }
+
+    const events = await Event.find(filters[scope])
       .sort('-createdAt')
       .populate('organizer', 'name email avatar');
 
     res.json({
       success: true,
       count: events.length,
-      data: events
+      data: events.map(event => ({
+        ...event.toObject(),
+        eventRole: event.getRole(req.user.id)
+      }))
     });
 
   } catch (error) {
@@ -271,4 +962,144 @@ exports.getMyEvents = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// List current user's trashed events (restorable until purgeAt)
+exports.getTrash = async (req, res) => {
+  try {
+    const events = await Event.find({ organizer: req.user.id, deletedAt: { $ne: null } })
+      .sort('-deletedAt');
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+
+  } catch (error) {
+    console.error('Get Trash Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+};
+
+// Restore a trashed event (owner only)
+exports.restoreEvent = async (req, res) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found in trash'
+      });
+    }
+
+    if (!event.can(req.user.id, 'delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this event'
+      });
+    }
+
+    const restored = await restoreEvent(event, { restoredBy: req.user.id });
+
+    if (!restored) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event can no longer be restored'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'event.restored',
+      targetModel: 'Event',
+      target: restored._id,
+      event: restored._id,
+      metadata: { title: restored.title }
+    });
+
+    res.json({
+      success: true,
+      message: 'Event restored successfully',
+      data: restored
+    });
+
+  } catch (error) {
+    console.error('Restore Event Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore event',
+      error: error.message
+    });
+  }
+};
+
+// History of an event and its RSVPs (owner only, trashed events included)
+// Filters: ?actor=&target=&action=&from=&to= - client IPs and user agents are left out
+exports.getEventAuditLog = async (req, res) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id).setOptions({ withDeleted: true })
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.can(req.user.id, 'view-audit-log')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this event'
+      });
+    }
+
+    const { limit, after, before } = req.query;
+    const { filter, error } = buildAuditFilter({ ...req.query, event: undefined, targetModel: undefined });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = await findCursorPage(
+      query => AuditLog.find(query).select('-ip -userAgent').populate('actor', 'name avatar'),
+      { ...filter, event: event._id },
+      { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 50), after, before }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
+    });
+
+  } catch (error) {
+    console.error('Get Event Audit Log Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event history',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
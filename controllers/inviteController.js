@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventInvite = require('../models/EventInvite');
+const { sendMail } = require('../utils/mailer');
+
+// Link that opens an event with an invite token
+const inviteUrl = (event, token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:5173'}/events/${event._id}?invite=${token}`;
+
+// Maximum number of addresses per email invite request
+const MAX_EMAIL_INVITES = 100;
+
+// Load an event and check the current user may manage its invites
+const loadEventForInvites = async (req, res) => {
+  const event = await Event.findById(req.params.id).select('title organizer staff visibility');
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!event.can(req.user.id, 'invite')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage invites for this event'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// List invites of an event (tokens are never returned again)
+exports.getInvites = async (req, res) => {
+  try {
+    const event = await loadEventForInvites(req, res);
+    if (!event) return;
+
+    const invites = await EventInvite.find({ event: event._id })
+      .populate('createdBy', 'name email')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: invites.length,
+      data: invites.map(invite => ({
+        ...invite.toObject(),
+        isUsable: invite.isUsable
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get Invites Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invites',
+      error: error.message
+    });
+  }
+};
+
+// Create a shareable invite link
+exports.createInviteLink = async (req, res) => {
+  try {
+    const { label, maxUses, expiresInDays } = req.body;
+
+    if ((maxUses !== undefined && !(parseInt(maxUses) >= 1)) ||
+        (expiresInDays !== undefined && !(Number(expiresInDays) > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxUses must be at least 1 and expiresInDays a positive number'
+      });
+    }
+
+    const event = await loadEventForInvites(req, res);
+    if (!event) return;
+
+    const token = EventInvite.generateToken();
+
+    const invite = await EventInvite.create({
+      event: event._id,
+      type: 'link',
+      tokenHash: EventInvite.hashToken(token),
+      label,
+      createdBy: req.user.id,
+      maxUses: maxUses !== undefined ? parseInt(maxUses) : undefined,
+      expiresAt: expiresInDays !== undefined
+        ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: event.visibility === 'private'
+        ? 'Invite link created'
+        : 'Invite link created (the event is not private, so anyone with the event link can already join)',
+      data: {
+        ...invite.toObject(),
+        token,
+        url: inviteUrl(event, token)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Invite Link Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invite link',
+      error: error.message
+    });
+  }
+};
+
+// Invite people by email (each address gets its own single-use link)
+exports.createEmailInvites = async (req, res) => {
+  try {
+    const { emails, expiresInDays } = req.body;
+
+    const list = [...new Set((Array.isArray(emails) ? emails : [emails])
+      .filter(Boolean)
+      .map(email => String(email).toLowerCase().trim()))];
+
+    if (list.length === 0 || list.length > MAX_EMAIL_INVITES) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide between 1 and ${MAX_EMAIL_INVITES} email addresses`
+      });
+    }
+
+    const invalid = list.filter(email => !/^\S+@\S+\.\S+$/.test(email));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid email address: ${invalid.join(', ')}`
+      });
+    }
+
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresInDays must be a positive number'
+      });
+    }
+
+    const event = await loadEventForInvites(req, res);
+    if (!event) return;
+
+    const expiresAt = expiresInDays !== undefined
+      ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+      : undefined;
+
+    const created = [];
+    const skipped = [];
+
+    for (const email of list) {
+      // Don't stack duplicate invites for the same address
+      const existing = await EventInvite.findUsableByEmail(event._id, email);
+      if (existing) {
+        skipped.push(email);
+        continue;
+      }
+
+      const token = EventInvite.generateToken();
+      const invite = await EventInvite.create({
+        event: event._id,
+        type: 'email',
+        tokenHash: EventInvite.hashToken(token),
+        email,
+        createdBy: req.user.id,
+        maxUses: 1,
+        expiresAt
+      });
+
+      try {
+        await sendMail({
+          to: email,
+          subject: `You're invited to ${event.title}`,
+          text: `Hi,\n\n${req.user.name} invited you to "${event.title}".\n\nOpen the link below to see the event and RSVP:\n\n${inviteUrl(event, token)}`
+        });
+      } catch (mailError) {
+        // The invite still works for a registered user with this verified email
+        console.error('Event Invite Mail Error:', mailError);
+      }
+
+      created.push(invite);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} invitation(s) sent`,
+      data: {
+        invites: created,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Email Invites Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitations',
+      error: error.message
+    });
+  }
+};
+
+// Revoke an invite link or email invite
+exports.revokeInvite = async (req, res) => {
+  try {
+    const event = await loadEventForInvites(req, res);
+    if (!event) return;
+
+    const invite = mongoose.isValidObjectId(req.params.inviteId)
+      ? await EventInvite.findOneAndUpdate(
+          { _id: req.params.inviteId, event: event._id, revokedAt: null },
+          { revokedAt: new Date() },
+          { new: true }
+        )
+      : null;
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked',
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Revoke Invite Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invite',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { findCursorPage, parseLimit } = require('../utils/pagination');
+
+// Get my notifications (newest first, cursor paginated)
+exports.getNotifications = async (req, res) => {
+  try {
+    const { unread, type, limit, after, before } = req.query;
+
+    const filter = { user: req.user.id };
+
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    if (type) {
+      if (!Notification.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of: ${Notification.TYPES.join(', ')}`
+        });
+      }
+      filter.type = type;
+    }
+
+    const page = await findCursorPage(
+      query => Notification.find(query).populate('event', 'title date image'),
+      filter,
+      { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 20), after, before }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      unreadCount: await Notification.countUnread(req.user.id),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
+    });
+
+  } catch (error) {
+    console.error('Get Notifications Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+};
+
+// Get my unread notification count
+exports.getUnreadCount = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        unreadCount: await Notification.countUnread(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unread Count Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+};
+
+// Mark one notification as read
+exports.markAsRead = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Mark Read Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+};
+
+// Mark all my notifications as read
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark All Read Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+};
+
+// Get my notification preferences
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: user.notificationPreferences
+    });
+
+  } catch (error) {
+    console.error('Get Notification Preferences Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+};
+
+// Update my notification preferences, e.g. { "rsvp_received": false }
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferences = req.body || {};
+    const keys = Object.keys(preferences);
+
+    const invalid = keys.filter(key => !Notification.TYPES.includes(key) || typeof preferences[key] !== 'boolean');
+    if (keys.length === 0 || invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide true/false values for: ${Notification.TYPES.join(', ')}`
+      });
+    }
+
+    const update = keys.reduce((acc, key) => {
+      acc[`notificationPreferences.${key}`] = preferences[key];
+      return acc;
+    }, {});
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: user.notificationPreferences
+    });
+
+  } catch (error) {
+    console.error('Update Notification Preferences Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,462 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Review = require('../models/Review');
+const RSVP = require('../models/RSVP');
+const { resolveEventAccess } = require('../utils/eventAccess');
+const { findCursorPage, parseLimit } = require('../utils/pagination');
+
+const AUTHOR_FIELDS = 'name avatar';
+
+const REPORT_REASONS = ['spam', 'abuse', 'off-topic', 'other'];
+
+// Load an event the current user can see (responds with 404 otherwise)
+const loadEvent = async (req, res) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id).select('title organizer staff visibility isPublished status rating')
+    : null;
+
+  const canSeeUnpublished = req.user &&
+    (req.user.role === 'admin' || (event && event.can(req.user.id, 'view')));
+  const access = event ? await resolveEventAccess(event, req.user, req.query.invite) : { allowed: false };
+
+  if (!event || !access.allowed || (event.isPublished === false && !canSeeUnpublished)) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Load a review of the event (hidden reviews are only found by their author and moderators)
+const loadReview = async (req, res, event, { includeHidden = false } = {}) => {
+  const review = mongoose.isValidObjectId(req.params.reviewId)
+    ? await Review.findOne({ _id: req.params.reviewId, event: event._id })
+    : null;
+
+  const canSeeHidden = includeHidden || (review && req.user && review.user.toString() === req.user.id);
+
+  if (!review || (review.status === 'hidden' && !canSeeHidden)) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// Owner and co-organizers respond to reviews; admins can too
+const canRespond = (event, user) => !!user && (user.role === 'admin' || event.can(user.id, 'moderate'));
+
+// Parse a whole-star rating (1-5)
+const parseRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+// Reason an attendee can't review the event, or null if they can
+const getReviewBlocker = async (event, userId) => {
+  if (event.status !== 'completed') {
+    return 'Reviews open once the event has been completed';
+  }
+
+  if (event.can(userId, 'view')) {
+    return 'The event team cannot review their own event';
+  }
+
+  const rsvp = await RSVP.findOne({ user: userId, event: event._id, status: 'confirmed' }).select('checkedInAt');
+
+  if (!rsvp) {
+    return 'Only confirmed attendees can review this event';
+  }
+
+  // Events that used check-in only accept reviews from people who actually attended
+  if (!rsvp.checkedInAt && await RSVP.exists({ event: event._id, checkedInAt: { $ne: null } })) {
+    return 'Only checked-in attendees can review this event';
+  }
+
+  return null;
+};
+
+// List an event's reviews with the rating summary
+exports.getReviews = async (req, res) => {
+  try {
+    const { limit, after, before, rating } = req.query;
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const filter = { event: event._id, status: 'visible' };
+
+    if (rating !== undefined) {
+      const stars = parseRating(rating);
+
+      if (!stars) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating filter must be a whole number from 1 to 5'
+        });
+      }
+
+      filter.rating = stars;
+    }
+
+    const [page, distribution, myReview] = await Promise.all([
+      findCursorPage(
+        query => Review.find(query).populate('user', AUTHOR_FIELDS).populate('response.respondedBy', AUTHOR_FIELDS),
+        filter,
+        { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 20), after, before }
+      ),
+      Review.getDistribution(event._id),
+      req.user ? Review.findOne({ event: event._id, user: req.user.id }) : null
+    ]);
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    // Tell signed-in users whether they can leave a review
+    let canReview;
+    if (req.user) {
+      canReview = !myReview && !(await getReviewBlocker(event, req.user.id));
+    }
+
+    res.json({
+      success: true,
+      summary: {
+        average: event.rating ? event.rating.average : 0,
+        count: event.rating ? event.rating.count : 0,
+        distribution
+      },
+      ...(req.user && { myReview, canReview }),
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
+    });
+
+  } catch (error) {
+    console.error('Get Reviews Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+};
+
+// Rate and review a completed event ({ rating, body })
+exports.createReview = async (req, res) => {
+  try {
+    const { rating, body } = req.body || {};
+    const stars = parseRating(rating);
+
+    if (!stars) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a rating from 1 to 5 stars'
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    // Step 1: Check the event is over and the user attended it
+    const blocker = await getReviewBlocker(event, req.user.id);
+
+    if (blocker) {
+      return res.status(403).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    // Step 2: Create review (the unique index allows one per user and event)
+    let review;
+    try {
+      review = await Review.create({
+        event: event._id,
+        organizer: event.organizer,
+        user: req.user.id,
+        rating: stars,
+        body: body ? String(body) : undefined
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reviewed this event'
+        });
+      }
+      throw error;
+    }
+
+    // Step 3: Refresh the event and organizer ratings
+    await Review.updateAggregates(event._id, event.organizer);
+    await review.populate('user', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Create Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post review',
+      error: error.message
+    });
+  }
+};
+
+// Edit own review ({ rating, body })
+exports.updateReview = async (req, res) => {
+  try {
+    const { rating, body } = req.body || {};
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const review = await loadReview(req, res, event);
+    if (!review) return;
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this review'
+      });
+    }
+
+    if (rating !== undefined) {
+      const stars = parseRating(rating);
+
+      if (!stars) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a rating from 1 to 5 stars'
+        });
+      }
+
+      review.rating = stars;
+    }
+
+    if (body !== undefined) {
+      review.body = body ? String(body) : undefined;
+    }
+
+    review.editedAt = new Date();
+    await review.save();
+
+    await Review.updateAggregates(event._id, review.organizer);
+    await review.populate('user', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Update Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review',
+      error: error.message
+    });
+  }
+};
+
+// Delete a review (author or admin)
+exports.deleteReview = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const review = await loadReview(req, res, event, { includeHidden: req.user.role === 'admin' });
+    if (!review) return;
+
+    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+    await Review.updateAggregates(event._id, review.organizer);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review',
+      error: error.message
+    });
+  }
+};
+
+// Respond publicly to a review ({ body }) - event owner and co-organizers
+exports.respondToReview = async (req, res) => {
+  try {
+    const { body } = req.body || {};
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a response'
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canRespond(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond to reviews of this event'
+      });
+    }
+
+    const review = await loadReview(req, res, event);
+    if (!review) return;
+
+    review.response = {
+      body: String(body),
+      respondedBy: req.user.id,
+      respondedAt: new Date()
+    };
+    await review.save();
+    await review.populate('response.respondedBy', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Response posted',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Respond To Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post response',
+      error: error.message
+    });
+  }
+};
+
+// Remove the organizer's response to a review
+exports.deleteResponse = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canRespond(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond to reviews of this event'
+      });
+    }
+
+    const review = await loadReview(req, res, event);
+    if (!review) return;
+
+    review.response = undefined;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Response removed',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Delete Review Response Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove response',
+      error: error.message
+    });
+  }
+};
+
+// Report an abusive review ({ reason, details }) - every report queues it for admins, and
+// enough reports from confirmed attendees hide it until an admin decides
+exports.reportReview = async (req, res) => {
+  try {
+    const { reason = 'other', details } = req.body || {};
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const review = await loadReview(req, res, event);
+    if (!review) return;
+
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    // Throwaway accounts can report anything, so only attendees' reports can hide a review
+    const attendee = !!(await RSVP.exists({ event: event._id, user: req.user.id, status: 'confirmed' }));
+
+    // ATOMIC UPDATE - Only adds the report if this user hasn't reported the review yet
+    const reported = await Review.findOneAndUpdate(
+      { _id: review._id, 'reports.user': { $ne: req.user.id } },
+      {
+        $push: { reports: { user: req.user.id, reason, details: details ? String(details) : undefined, attendee } },
+        $inc: { reportCount: 1, attendeeReportCount: attendee ? 1 : 0 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!reported) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    if (reported.status === 'visible' && reported.attendeeReportCount >= Review.REPORT_HIDE_THRESHOLD) {
+      reported.status = 'hidden';
+      await reported.save();
+      await Review.updateAggregates(event._id, reported.organizer);
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, the review has been reported'
+    });
+
+  } catch (error) {
+    console.error('Report Review Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report review',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const RSVP = require('../models/RSVP');
+const EventInvite = require('../models/EventInvite');
+const { hasWaitlist, releaseSeat } = require('../utils/waitlist');
+const { resolveEventAccess } = require('../utils/eventAccess');
+const { notifyUsers } = require('../utils/notifications');
+const { dispatchWebhookEvent, rsvpWebhookData } = require('../utils/webhooks');
+const { publishAttendance } = require('../utils/liveEvents');
+const { recordAudit } = require('../utils/audit');
+const { toCSVRow } = require('../utils/csv');
+const { parseSort, toSortSpec, findCursorPage, parseLimit } = require('../utils/pagination');
+
+// Fields RSVP listings may be sorted by
+const RSVP_SORT_FIELDS = ['createdAt', 'rsvpDate'];
 
 /**
  * CRITICAL CONCURRENCY HANDLING
@@ -8,33 +20,93 @@ const RSVP = require('../models/RSVP');
  * This controller uses atomic operations to prevent race conditions:
  * - findOneAndUpdate with $expr condition checks capacity atomically
  * - No transactions needed for development (standalone MongoDB)
+ * - Waitlist promotion reserves a seat with the same $expr check before
+ *   confirming anyone (see utils/waitlist.js)
+ * - Cancelling hands the seat straight to the oldest waitlisted RSVP, so it is
+ *   never free for a new RSVP while people are waiting
  */
 
 // Create RSVP (Join Event) - WITHOUT TRANSACTION
 exports.createRSVP = async (req, res) => {
+  // Invite use counted for this request, given back if no RSVP comes of it
+  let consumedInvite = null;
+
   try {
     const { eventId } = req.params;
     const userId = req.user.id;
+    const { inviteToken } = req.body || {};
 
     // Step 1: Check if RSVP already exists
     const existingRSVP = await RSVP.findOne({
       user: userId,
       event: eventId,
-      status: 'confirmed'
+      status: { $in: ['confirmed', 'waitlist'] }
     });
 
     if (existingRSVP) {
+      if (existingRSVP.status === 'waitlist') {
+        return res.status(400).json({
+          success: false,
+          message: 'You are already on the waitlist for this event',
+          data: {
+            waitlistPosition: await existingRSVP.getWaitlistPosition()
+          }
+        });
+      }
+
       return res.status(400).json({
         success: false,
         message: 'You have already RSVP\'d to this event'
       });
     }
 
-    // Step 2: ATOMIC UPDATE - Increment attendees only if capacity allows
+    // Step 2: Make sure the event can still be joined
+    const targetEvent = await Event.findById(eventId).select('title status isPublished visibility organizer staff');
+
+    if (!targetEvent || targetEvent.isPublished === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (targetEvent.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    // Invite-only events need a valid invite (hidden as 404 so they don't leak)
+    const access = await resolveEventAccess(targetEvent, req.user, inviteToken || req.query.invite);
+
+    if (!access.allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // ATOMIC UPDATE - Count the invite use, unless it was used up in the meantime
+    if (access.invite) {
+      consumedInvite = await EventInvite.consume(access.invite._id);
+
+      if (!consumedInvite) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invite has expired or has already been used'
+        });
+      }
+    }
+
+    // Step 3: ATOMIC UPDATE - Increment attendees only if capacity allows
     // This is the KEY to preventing race conditions!
-    const event = await Event.findOneAndUpdate(
+    // People already waiting keep their place, so skip straight to the waitlist
+    const waitlistExists = await hasWaitlist(eventId);
+    const event = waitlistExists ? null : await Event.findOneAndUpdate(
       {
         _id: eventId,
+        status: { $ne: 'cancelled' },
         $expr: { $lt: ['$currentAttendees', '$capacity'] } // Ensure space available
       },
       {
@@ -47,25 +119,55 @@ exports.createRSVP = async (req, res) => {
       }
     );
 
-    // Step 3: Check if update succeeded
+    // Let the organizer know who signed up (and record it in the audit log)
+    const notifyOrganizer = async (rsvp) => {
+      await recordAudit(req, {
+        action: 'rsvp.created',
+        targetModel: 'RSVP',
+        target: rsvp._id,
+        event: targetEvent._id,
+        changes: [{ field: 'status', before: null, after: rsvp.status }],
+        metadata: access.invite ? { invite: access.invite._id } : undefined
+      });
+      await notifyUsers([targetEvent.organizer], {
+        type: 'rsvp_received',
+        title: `${req.user.name} ${rsvp.status === 'waitlist' ? 'joined the waitlist for' : 'is attending'} ${targetEvent.title}`,
+        event: targetEvent._id,
+        data: { eventTitle: targetEvent.title, userId, status: rsvp.status }
+      });
+      await dispatchWebhookEvent(targetEvent.organizer, 'rsvp.created', rsvpWebhookData(rsvp, targetEvent, req.user));
+    };
+
+    // Step 4: No seat - join the waitlist
     if (!event) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is full or does not exist'
+      const waitlistRSVP = await RSVP.createOrReactivate(userId, eventId, 'waitlist');
+      consumedInvite = null;
+      await notifyOrganizer(waitlistRSVP);
+
+      const populatedWaitlistRSVP = await RSVP.findById(waitlistRSVP._id)
+        .populate('user', 'name email avatar')
+        .populate('event', 'title date endDate timezone location');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Event is full. You have been added to the waitlist',
+        data: {
+          rsvp: populatedWaitlistRSVP,
+          waitlistPosition: await waitlistRSVP.getWaitlistPosition()
+        }
       });
     }
 
-    // Step 4: Create RSVP record
-    const rsvp = await RSVP.create({
-      user: userId,
-      event: eventId,
-      status: 'confirmed'
-    });
+    // Step 5: Create RSVP record
+    const rsvp = await RSVP.createOrReactivate(userId, eventId, 'confirmed');
+    consumedInvite = null;
+    await notifyOrganizer(rsvp);
+    await publishAttendance(eventId);
 
     // Populate user and event details
     const populatedRSVP = await RSVP.findById(rsvp._id)
       .populate('user', 'name email avatar')
-      .populate('event', 'title date location');
+      .populate('event', 'title date endDate timezone location');
 
     res.status(201).json({
       success: true,
@@ -78,7 +180,12 @@ exports.createRSVP = async (req, res) => {
 
   } catch (error) {
     console.error('RSVP Creation Error:', error);
-    
+
+    if (consumedInvite) {
+      await EventInvite.release(consumedInvite._id)
+        .catch(releaseError => console.error('Invite Release Error:', releaseError));
+    }
+
     // Handle duplicate RSVP error
     if (error.code === 11000) {
       return res.status(400).json({
@@ -101,12 +208,16 @@ exports.cancelRSVP = async (req, res) => {
     const { eventId } = req.params;
     const userId = req.user.id;
 
-    // Step 1: Find and delete RSVP
-    const rsvp = await RSVP.findOneAndDelete({
-      user: userId,
-      event: eventId,
-      status: 'confirmed'
-    });
+    // Step 1: Mark RSVP as cancelled (kept for the organizer's records)
+    const rsvp = await RSVP.findOneAndUpdate(
+      {
+        user: userId,
+        event: eventId,
+        status: 'confirmed'
+      },
+      { status: 'cancelled', cancellationDate: new Date(), $unset: { reconfirmBy: 1 } },
+      { new: true }
+    );
 
     if (!rsvp) {
       return res.status(404).json({
@@ -115,18 +226,10 @@ exports.cancelRSVP = async (req, res) => {
       });
     }
 
-    // Step 2: ATOMIC UPDATE - Decrement attendees
-    const event = await Event.findByIdAndUpdate(
-      eventId,
-      {
-        $inc: { currentAttendees: -1 },
-        $pull: { attendees: userId }
-      },
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    // Step 2: Hand the seat to the oldest waitlisted user, or free it (see utils/waitlist.js)
+    const promoted = await releaseSeat(eventId, userId);
+
+    const event = await Event.findById(eventId).select('title organizer capacity currentAttendees');
 
     if (!event) {
       return res.status(404).json({
@@ -135,11 +238,23 @@ exports.cancelRSVP = async (req, res) => {
       });
     }
 
+    await dispatchWebhookEvent(event.organizer, 'rsvp.cancelled', rsvpWebhookData(rsvp, event, req.user));
+    await recordAudit(req, {
+      action: 'rsvp.cancelled',
+      targetModel: 'RSVP',
+      target: rsvp._id,
+      event: event._id,
+      changes: [{ field: 'status', before: 'confirmed', after: 'cancelled' }]
+    });
+
+    await publishAttendance(eventId);
+
     res.json({
       success: true,
       message: 'RSVP cancelled successfully',
       data: {
-        availableSpots: event.capacity - event.currentAttendees
+        availableSpots: event.capacity - event.currentAttendees,
+        promotedFromWaitlist: !!promoted
       }
     });
 
@@ -157,26 +272,65 @@ exports.cancelRSVP = async (req, res) => {
 exports.getUserRSVPs = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { status = 'confirmed' } = req.query;
+    const { status = 'confirmed', sort = '-createdAt', limit, after, before } = req.query;
 
-    const rsvps = await RSVP.find({
-      user: userId,
-      status
-    })
-    .populate({
-      path: 'event',
-      select: 'title description date location capacity currentAttendees image category organizer',
-      populate: {
-        path: 'organizer',
-        select: 'name email'
-      }
-    })
-    .sort({ createdAt: -1 });
+    const sortOption = parseSort(sort, RSVP_SORT_FIELDS);
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${RSVP_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    const find = filter => RSVP.find(filter)
+      .populate({
+        path: 'event',
+        select: 'title description date endDate timezone location capacity currentAttendees image category organizer',
+        populate: {
+          path: 'organizer',
+          select: 'name email'
+        }
+      });
+
+    // RSVPs of trashed events are kept until the purge (for a restore) - leave them out
+    const eventIds = await RSVP.distinct('event', { user: userId, status });
+    const trashedIds = await Event.distinct('_id', { _id: { $in: eventIds }, deletedAt: { $ne: null } })
+      .setOptions({ withDeleted: true });
+
+    const filter = { user: userId, status, event: { $nin: trashedIds } };
+
+    // Without limit/after/before the full list is returned, as before
+    const paginated = !!(limit || after || before);
+    const page = paginated
+      ? await findCursorPage(find, filter, { sort: sortOption, limit: parseLimit(limit, 20), after, before })
+      : null;
+
+    if (paginated && !page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    const rsvps = paginated ? page.items : await find(filter).sort(toSortSpec(sortOption));
+
+    // Include queue positions when listing waitlisted RSVPs
+    const data = status === 'waitlist'
+      ? await Promise.all(rsvps.map(async (rsvp) => ({
+          ...rsvp.toObject(),
+          waitlistPosition: await rsvp.getWaitlistPosition()
+        })))
+      : rsvps;
 
     res.json({
       success: true,
       count: rsvps.length,
-      data: rsvps
+      ...(paginated && {
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
+      }),
+      data
     });
 
   } catch (error) {
@@ -193,18 +347,62 @@ exports.getUserRSVPs = async (req, res) => {
 exports.getEventAttendees = async (req, res) => {
   try {
     const { eventId } = req.params;
+    const { sort = 'createdAt', limit, after, before } = req.query;
 
-    const rsvps = await RSVP.find({
-      event: eventId,
-      status: 'confirmed'
-    })
-    .populate('user', 'name email avatar')
-    .sort({ createdAt: 1 });
+    const sortOption = parseSort(sort, RSVP_SORT_FIELDS);
+    if (!sortOption) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${RSVP_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    // Attendees of private events are only listed to people who can see the event
+    const event = await Event.findById(eventId).select('visibility organizer staff');
+    const access = event ? await resolveEventAccess(event, req.user) : { allowed: false };
+
+    if (!access.allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const find = filter => RSVP.find(filter).populate('user', 'name email avatar');
+    const filter = { event: eventId, status: 'confirmed' };
+
+    // Without limit/after/before the full list is returned, as before
+    if (!limit && !after && !before) {
+      const rsvps = await find(filter).sort(toSortSpec(sortOption));
+
+      return res.json({
+        success: true,
+        count: rsvps.length,
+        data: rsvps
+      });
+    }
+
+    const page = await findCursorPage(find, filter, {
+      sort: sortOption,
+      limit: parseLimit(limit, 50),
+      after,
+      before
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
 
     res.json({
       success: true,
-      count: rsvps.length,
-      data: rsvps
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
     });
 
   } catch (error) {
@@ -233,6 +431,7 @@ exports.checkRSVPStatus = async (req, res) => {
       success: true,
       data: {
         hasRSVP: !!rsvp,
+        needsReconfirmation: !!(rsvp && rsvp.reconfirmBy),
         rsvp: rsvp || null
       }
     });
@@ -245,4 +444,268 @@ exports.checkRSVPStatus = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Reconfirm attendance after the event was postponed
+exports.reconfirmRSVP = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    // ATOMIC UPDATE - Only before the deadline (the reconfirmation job releases spots after it)
+    const rsvp = await RSVP.findOneAndUpdate(
+      {
+        user: userId,
+        event: eventId,
+        status: 'confirmed',
+        reconfirmBy: { $gt: new Date() }
+      },
+      { reconfirmedAt: new Date(), $unset: { reconfirmBy: 1 } },
+      { new: true }
+    );
+
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reconfirmation pending for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendance reconfirmed',
+      data: rsvp
+    });
+
+  } catch (error) {
+    console.error('Reconfirm RSVP Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconfirm attendance',
+      error: error.message
+    });
+  }
+};
+
+// Get user's position on an event's waitlist
+exports.getWaitlistPosition = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    const rsvp = await RSVP.findOne({
+      user: userId,
+      event: eventId,
+      status: 'waitlist'
+    });
+
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this event'
+      });
+    }
+
+    const waitlistLength = await RSVP.countDocuments({
+      event: eventId,
+      status: 'waitlist'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        waitlistPosition: await rsvp.getWaitlistPosition(),
+        waitlistLength,
+        joinedAt: rsvp.rsvpDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Waitlist Position Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist position',
+      error: error.message
+    });
+  }
+};
+
+// Leave an event's waitlist
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    const rsvp = await RSVP.findOneAndUpdate(
+      {
+        user: userId,
+        event: eventId,
+        status: 'waitlist'
+      },
+      { status: 'cancelled', cancellationDate: new Date() },
+      { new: true }
+    );
+
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this event'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'rsvp.cancelled',
+      targetModel: 'RSVP',
+      target: rsvp._id,
+      event: rsvp.event,
+      changes: [{ field: 'status', before: 'waitlist', after: 'cancelled' }]
+    });
+
+    const event = await Event.findById(eventId).select('title organizer');
+    if (event) {
+      await dispatchWebhookEvent(event.organizer, 'rsvp.cancelled', rsvpWebhookData(rsvp, event, req.user));
+    }
+
+    res.json({
+      success: true,
+      message: 'Left waitlist successfully'
+    });
+
+  } catch (error) {
+    console.error('Leave Waitlist Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Export event's attendees as CSV or JSON (organizer only, streamed)
+exports.exportEventAttendees = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { format = 'csv', status = 'confirmed' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be either csv or json'
+      });
+    }
+
+    // status accepts a comma-separated list, e.g. confirmed,waitlist (or repeated ?status=)
+    const RSVP_STATUSES = ['confirmed', 'waitlist', 'cancelled'];
+    const requested = [].concat(status).join(',');
+    const statuses = requested === 'all' ? RSVP_STATUSES : requested.split(',').map(s => s.trim());
+
+    if (statuses.some(s => !RSVP_STATUSES.includes(s))) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one or more of: ${RSVP_STATUSES.join(', ')}`
+      });
+    }
+
+    const event = await Event.findById(eventId).select('title organizer staff');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Owner and co-organizers can export
+    if (!event.can(req.user.id, 'export')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export attendees of this event'
+      });
+    }
+
+    // Stream documents one by one so large events don't sit in memory
+    const cursor = RSVP.find({
+      event: eventId,
+      status: { $in: statuses }
+    })
+    .populate('user', 'name email')
+    .sort({ rsvpDate: 1, _id: 1 })
+    .cursor();
+
+    // Stop reading from MongoDB if the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    // Respect backpressure from slow clients, but stop waiting if they go away
+    const write = async (chunk) => {
+      if (res.destroyed || res.write(chunk)) {
+        return;
+      }
+
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          res.off('error', done);
+          resolve();
+        };
+
+        res.on('drain', done);
+        res.on('close', done);
+        res.on('error', done);
+      });
+    };
+
+    const fileName = `attendees-${event._id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      await write(toCSVRow(['Name', 'Email', 'RSVP Date', 'Status', 'Notes']));
+
+      for await (const rsvp of cursor) {
+        if (res.destroyed) break;
+        await write(toCSVRow([
+          rsvp.user ? rsvp.user.name : '',
+          rsvp.user ? rsvp.user.email : '',
+          rsvp.rsvpDate,
+          rsvp.status,
+          rsvp.notes
+        ]));
+      }
+    } else {
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      await write('[');
+
+      let first = true;
+      for await (const rsvp of cursor) {
+        if (res.destroyed) break;
+        await write((first ? '' : ',') + JSON.stringify({
+          name: rsvp.user ? rsvp.user.name : null,
+          email: rsvp.user ? rsvp.user.email : null,
+          rsvpDate: rsvp.rsvpDate,
+          status: rsvp.status,
+          notes: rsvp.notes || null
+        }));
+        first = false;
+      }
+
+      await write(']');
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export Attendees Error:', error);
+
+    // Headers are gone once streaming started - just cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export attendees',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,448 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { validateRule, generateOccurrences } = require('../utils/recurrence');
+const { isValidTimeZone, wallClockDiff, addWallClockMs } = require('../utils/timezone');
+const { parseTags } = require('../utils/tags');
+const { notifyAttendees, describeEventChanges } = require('../utils/notifications');
+const { publishAttendance } = require('../utils/liveEvents');
+const { cancelEvent } = require('../utils/eventLifecycle');
+const { fillOpenSeats } = require('../utils/waitlist');
+const { recordEventChanges } = require('../utils/audit');
+
+// Fields organizers may change on one or more occurrences
+const EDITABLE_FIELDS = ['title', 'description', 'location', 'capacity', 'image', 'category', 'tags', 'visibility'];
+
+// Pick the editable fields present in the request body
+const pickUpdates = (body) => {
+  const updates = EDITABLE_FIELDS.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+    return picked;
+  }, {});
+
+  if (updates.tags !== undefined) {
+    updates.tags = updates.tags ? parseTags(updates.tags) : [];
+  }
+
+  return updates;
+};
+
+// Create a recurring series and generate its occurrences
+exports.createSeries = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      date,
+      endDate,
+      duration,
+      timezone = 'UTC',
+      location,
+      capacity,
+      image,
+      category,
+      tags,
+      visibility,
+      recurrence
+    } = req.body;
+
+    // Validation
+    if (!title || !description || !date || !location || !capacity || !recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide all required fields'
+      });
+    }
+
+    const ruleError = validateRule(recurrence);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const startDate = new Date(date);
+    if (isNaN(startDate.getTime()) || startDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'First occurrence must be a valid date in the future'
+      });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid IANA time zone (e.g. Europe/Berlin)'
+      });
+    }
+
+    // Every occurrence lasts as long as the first one
+    const firstEnd = Event.computeEndDate(startDate, { endDate, duration }) ||
+      new Date(startDate.getTime() + Event.DEFAULT_DURATION_MS);
+
+    if (!(firstEnd > startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event end time must be after the start time'
+      });
+    }
+
+    const durationMs = firstEnd.getTime() - startDate.getTime();
+
+    // Steps are taken in the series' time zone so local start times survive DST
+    const occurrenceDates = generateOccurrences(recurrence, startDate, timezone);
+    if (occurrenceDates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence rule does not produce any occurrences'
+      });
+    }
+
+    // Create series
+    const series = await EventSeries.create({
+      organizer: req.user.id,
+      title,
+      description,
+      location,
+      capacity,
+      image,
+      category,
+      tags: tags ? parseTags(tags) : undefined,
+      visibility,
+      startDate,
+      durationMinutes: Math.round(durationMs / 60000),
+      timezone,
+      recurrence
+    });
+
+    // Generate one independent event per occurrence
+    let occurrences;
+    try {
+      occurrences = await Event.insertMany(occurrenceDates.map(occurrenceDate => ({
+        title,
+        description,
+        date: occurrenceDate,
+        endDate: new Date(occurrenceDate.getTime() + durationMs),
+        timezone,
+        occurrenceDate,
+        location,
+        capacity,
+        image,
+        category,
+        tags: tags ? parseTags(tags) : undefined,
+        visibility,
+        organizer: req.user.id,
+        series: series._id
+      })));
+    } catch (error) {
+      // Don't leave an empty series behind
+      await Event.deleteMany({ series: series._id });
+      await series.deleteOne();
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${occurrences.length} occurrences`,
+      data: {
+        series,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Series Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series',
+      error: error.message
+    });
+  }
+};
+
+// Get a series with all its occurrences
+exports.getSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .populate('organizer', 'name email avatar');
+
+    // Private series are only shown to admins and the team of one of its occurrences
+    const isAdmin = !!req.user && req.user.role === 'admin';
+    const teamFilter = req.user && !isAdmin ? Event.teamFilter(req.user.id) : null;
+    const isTeam = !!series && (isAdmin ||
+      (!!teamFilter && !!(await Event.exists({ series: series._id, ...teamFilter }))));
+
+    if (!series || (series.visibility === 'private' && !isTeam)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    // Occurrences made private individually are only shown to their own team
+    const visibleFilter = teamFilter
+      ? { $or: [{ visibility: { $ne: 'private' } }, ...teamFilter.$or] }
+      : { visibility: { $ne: 'private' } };
+
+    const occurrences = await Event.find({
+      series: series._id,
+      isPublished: { $ne: false },
+      ...(!isAdmin && visibleFilter)
+    })
+    .sort('date');
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Series Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch series',
+      error: error.message
+    });
+  }
+};
+
+// Update "this occurrence" or "this and following" occurrences
+exports.updateOccurrences = async (req, res) => {
+  try {
+    const { scope = 'this', date } = req.body;
+
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be either this or following'
+      });
+    }
+
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const event = await Event.findOne({ _id: req.params.eventId, series: series._id });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    // Owner and co-organizers of the occurrence can edit it
+    if (!event.can(req.user.id, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this occurrence'
+      });
+    }
+
+    const updates = pickUpdates(req.body);
+    const newDate = date ? new Date(date) : null;
+
+    if (newDate && (isNaN(newDate.getTime()) || newDate <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence date must be a valid date in the future'
+      });
+    }
+
+    // bulkWrite skips schema validators - check the changed fields first
+    await Event.validate(updates, Object.keys(updates));
+
+    // Occurrences affected by this edit
+    const targets = scope === 'this'
+      ? [event]
+      : await Event.find({
+          series: series._id,
+          occurrenceDate: { $gte: event.occurrenceDate },
+          status: { $ne: 'cancelled' }
+        });
+
+    // "This and following" needs edit rights on every occurrence it touches
+    if (targets.some(target => !target.can(req.user.id, 'edit'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update all following occurrences'
+      });
+    }
+
+    // Don't allow capacity reduction below current attendees on any occurrence
+    if (updates.capacity !== undefined) {
+      const overbooked = targets.find(target => target.currentAttendees > updates.capacity);
+      if (overbooked) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot reduce capacity below current attendees (${overbooked.currentAttendees}) of the occurrence on ${overbooked.date.toISOString()}`
+        });
+      }
+    }
+
+    // Moving the date shifts every targeted occurrence by the same wall-clock
+    // amount in the series' time zone, so local start times survive DST changes
+    const timeZone = series.timezone || 'UTC';
+    const shift = newDate ? wallClockDiff(event.date, newDate, timeZone) : 0;
+    const shiftDates = (target) => {
+      const start = target._id.equals(event._id) ? newDate : addWallClockMs(target.date, shift, timeZone);
+      return { date: start, endDate: new Date(start.getTime() + (target.endsAt.getTime() - target.date.getTime())) };
+    };
+
+    await Event.bulkWrite(targets.map(target => ({
+      updateOne: {
+        filter: { _id: target._id },
+        update: {
+          $set: {
+            ...updates,
+            ...(newDate ? shiftDates(target) : {}),
+            isSeriesException: scope === 'this'
+          },
+          $inc: { sequence: 1 }
+        }
+      }
+    })));
+
+    // "This and following" also becomes the new default for the series
+    if (scope === 'following' && Object.keys(updates).length > 0) {
+      Object.assign(series, updates);
+      await series.save();
+    }
+
+    const occurrences = await Event.find({ _id: { $in: targets.map(target => target._id) } })
+      .sort('date');
+
+    // Let attendees of each occurrence know about date/location changes
+    const previousById = new Map(targets.map(target => [target._id.toString(), target]));
+    for (const occurrence of occurrences) {
+      const previous = previousById.get(occurrence._id.toString());
+      const changes = describeEventChanges(previous, occurrence);
+
+      await recordEventChanges(req, previous, occurrence, { operation: 'series-update', series: series._id, scope });
+
+      if (updates.capacity !== undefined) {
+        // Extra seats go to the waitlist first
+        if (occurrence.capacity > previous.capacity) {
+          const promoted = await fillOpenSeats(occurrence._id);
+          occurrence.currentAttendees += promoted.length;
+        }
+        await publishAttendance(occurrence._id);
+      }
+
+      if (changes.length) {
+        await notifyAttendees(occurrence._id, {
+          type: 'event_updated',
+          title: `${occurrence.title} has been updated`,
+          message: `${changes.join('. ')}.`,
+          data: { eventTitle: occurrence.title, changes }
+        }, { exclude: req.user.id });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${occurrences.length} occurrence(s) updated successfully`,
+      data: occurrences
+    });
+
+  } catch (error) {
+    console.error('Update Occurrences Error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrences',
+      error: error.message
+    });
+  }
+};
+
+// Cancel a single occurrence (keeps its RSVPs marked cancelled, excludes it from the rule)
+exports.cancelOccurrence = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrence = await Event.findOne({ _id: req.params.eventId, series: series._id });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    // Only the owner of the occurrence can cancel it
+    if (!occurrence.can(req.user.id, 'cancel')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this occurrence'
+      });
+    }
+
+    const event = await cancelEvent(
+      { _id: occurrence._id },
+      { reason: (req.body || {}).reason, cancelledBy: req.user.id }
+    );
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence is already cancelled'
+      });
+    }
+
+    await recordEventChanges(req, occurrence, event, { operation: 'cancel', series: series._id, reason: event.cancellationReason });
+
+    // Record the exception on the rule itself
+    await EventSeries.findByIdAndUpdate(series._id, {
+      $addToSet: { 'recurrence.exceptions': event.occurrenceDate }
+    });
+
+    res.json({
+      success: true,
+      message: 'Occurrence cancelled successfully',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Cancel Occurrence Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel occurrence',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
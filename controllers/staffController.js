@@ -0,0 +1,436 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+
+const eventUrl = (event) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/events/${event._id}`;
+
+// Load an event and check the current user's permission on it
+const loadEventFor = async (req, res, permission, message) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!event.can(req.user.id, permission)) {
+    res.status(403).json({
+      success: false,
+      message
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// List the event team (owner and staff, including pending invites)
+exports.getStaff = async (req, res) => {
+  try {
+    const event = await loadEventFor(req, res, 'view', 'Not authorized to view the staff of this event');
+    if (!event) return;
+
+    await event.populate([
+      { path: 'organizer', select: 'name email avatar' },
+      { path: 'staff.user', select: 'name email avatar' },
+      { path: 'staff.invitedBy', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner: event.organizer,
+        staff: event.staff
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Staff Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event staff',
+      error: error.message
+    });
+  }
+};
+
+// Invite a registered user to the event team (owner only)
+exports.inviteStaff = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !Event.STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide an email and a role (${Event.STAFF_ROLES.join(', ')})`
+      });
+    }
+
+    const event = await loadEventFor(req, res, 'manage-staff', 'Not authorized to manage the staff of this event');
+    if (!event) return;
+
+    const invitee = await User.findOne({ email: String(email).toLowerCase().trim(), status: { $ne: 'deleted' } });
+
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found with that email'
+      });
+    }
+
+    if (invitee._id.toString() === event.organizer.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner is already on the event team'
+      });
+    }
+
+    // ATOMIC UPDATE - Only add the invite if the user isn't on the team yet
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        'staff.user': { $ne: invitee._id }
+      },
+      {
+        $push: {
+          staff: {
+            user: invitee._id,
+            role,
+            status: 'pending',
+            invitedBy: req.user.id,
+            invitedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already invited to or on the event team'
+      });
+    }
+
+    try {
+      await sendMail({
+        to: invitee.email,
+        subject: `You've been invited to help run ${event.title}`,
+        text: `Hi ${invitee.name},\n\n${req.user.name} invited you to join the team of "${event.title}" as ${role}.\n\nOpen the event to accept or decline the invitation:\n\n${eventUrl(event)}`
+      });
+    } catch (mailError) {
+      // The invite still shows up under the user's pending invitations
+      console.error('Staff Invite Mail Error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: updated.staff.find(entry => entry.user.toString() === invitee._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Invite Staff Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite staff member',
+      error: error.message
+    });
+  }
+};
+
+// List my pending staff invitations
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const events = await Event.find({
+      staff: { $elemMatch: { user: req.user.id, status: 'pending' } }
+    })
+    .select('title date endDate timezone location image organizer staff')
+    .populate('organizer', 'name email avatar')
+    .sort('date');
+
+    const data = events.map(event => {
+      const invite = event.staff.find(entry => entry.user.toString() === req.user.id);
+
+      return {
+        event: {
+          _id: event._id,
+          title: event.title,
+          date: event.date,
+          endDate: event.endDate,
+          timezone: event.timezone,
+          location: event.location,
+          image: event.image,
+          organizer: event.organizer
+        },
+        role: invite.role,
+        invitedAt: invite.invitedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get Invitations Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: error.message
+    });
+  }
+};
+
+// Accept a pending staff invitation
+exports.acceptInvitation = async (req, res) => {
+  try {
+    // ATOMIC UPDATE - Activate my pending entry
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        staff: { $elemMatch: { user: req.user.id, status: 'pending' } }
+      },
+      {
+        $set: {
+          'staff.$.status': 'active',
+          'staff.$.acceptedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation found for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        eventId: event._id,
+        role: event.getRole(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept Invitation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+};
+
+// Decline a pending staff invitation
+exports.declineInvitation = async (req, res) => {
+  try {
+    const result = await Event.updateOne(
+      { _id: req.params.id },
+      { $pull: { staff: { user: req.user.id, status: 'pending' } } }
+    );
+
+    if (!result.modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation found for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline Invitation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      error: error.message
+    });
+  }
+};
+
+// Change a staff member's role (owner only)
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Event.STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Event.STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const event = await loadEventFor(req, res, 'manage-staff', 'Not authorized to manage the staff of this event');
+    if (!event) return;
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, 'staff.user': req.params.userId },
+      { $set: { 'staff.$.role': role } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not on the event team'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Staff role updated',
+      data: updated.staff.find(entry => entry.user.toString() === req.params.userId)
+    });
+
+  } catch (error) {
+    console.error('Update Staff Role Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff role',
+      error: error.message
+    });
+  }
+};
+
+// Remove a staff member or revoke an invite (owner), or leave the team (the member themselves)
+exports.removeStaff = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select('organizer staff');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (userId !== req.user.id && !event.can(req.user.id, 'manage-staff')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage the staff of this event'
+      });
+    }
+
+    const result = await Event.updateOne(
+      { _id: event._id },
+      { $pull: { staff: { user: userId } } }
+    );
+
+    if (!result.modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not on the event team'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: userId === req.user.id ? 'You left the event team' : 'Staff member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove Staff Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove staff member',
+      error: error.message
+    });
+  }
+};
+
+// Transfer ownership to an active co-organizer (owner only) - the old owner becomes a co-organizer
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the user id of the new owner'
+      });
+    }
+
+    const event = await loadEventFor(req, res, 'transfer', 'Only the owner can transfer this event');
+    if (!event) return;
+
+    // Only accepted co-organizers can take over, so nobody becomes an owner without consent
+    if (event.getRole(userId) !== 'co-organizer') {
+      return res.status(400).json({
+        success: false,
+        message: 'The new owner must be an active co-organizer of this event'
+      });
+    }
+
+    const now = new Date();
+    const staff = event.staff
+      .filter(entry => entry.user.toString() !== userId)
+      .map(entry => entry.toObject());
+
+    staff.push({
+      user: event.organizer,
+      role: 'co-organizer',
+      status: 'active',
+      invitedBy: userId,
+      invitedAt: now,
+      acceptedAt: now
+    });
+
+    // ATOMIC UPDATE - Only if ownership hasn't changed in the meantime
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, organizer: req.user.id },
+      { $set: { organizer: userId, staff } },
+      { new: true, runValidators: true }
+    ).populate('organizer', 'name email avatar');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Event ownership changed, please try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Transfer Ownership Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer ownership',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { resolveEventAccess } = require('../utils/eventAccess');
+const { attendancePayload, subscribeToEvent, getMissedMessages } = require('../utils/liveEvents');
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25 * 1000;
+
+// Delay browsers wait before reconnecting
+const RETRY_MS = 5000;
+
+// Format one SSE message
+const formatMessage = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Stream live attendance, status changes and cancellation notices (Server-Sent Events)
+exports.streamEvent = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .select('status capacity currentAttendees isPublished visibility organizer staff cancellationReason cancelledAt');
+
+    const canSeeUnpublished = req.user &&
+      (req.user.role === 'admin' || (event && event.can(req.user.id, 'view')));
+    const access = event ? await resolveEventAccess(event, req.user, req.query.invite) : { allowed: false };
+
+    if (!event || !access.allowed || (event.isPublished === false && !canSeeUnpublished)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // The client may have gone away while we were checking access
+    if (req.socket.destroyed || res.writableEnded) {
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable response buffering in nginx
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Step 1: Subscribe before reading state so no update slips through - live
+    // messages are held back until the snapshot is out
+    let pending = [];
+    const unsubscribe = subscribeToEvent(event._id, (message) => {
+      if (pending) {
+        pending.push(message);
+      } else {
+        res.write(formatMessage(message));
+      }
+    });
+
+    // Heartbeats until the client goes away
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    // Step 2: Replay what a reconnecting client missed, or send a fresh snapshot
+    const missed = getMissedMessages(event._id, req.get('Last-Event-ID'));
+
+    if (missed) {
+      missed.forEach(message => res.write(formatMessage(message)));
+    } else {
+      // Read the state again now that we are subscribed
+      const current = await Event.findById(event._id)
+        .select('status capacity currentAttendees cancellationReason cancelledAt') || event;
+
+      res.write(formatMessage({ type: 'attendance', data: attendancePayload(current) }));
+      res.write(formatMessage({ type: 'status', data: { status: current.status } }));
+
+      if (current.status === 'cancelled') {
+        res.write(formatMessage({
+          type: 'cancelled',
+          data: { reason: current.cancellationReason || null, cancelledAt: current.cancelledAt || null }
+        }));
+      }
+    }
+
+    // Step 3: Send the live messages that arrived meanwhile, then stream them directly
+    pending.forEach(message => res.write(formatMessage(message)));
+    pending = null;
+
+  } catch (error) {
+    console.error('Event Stream Error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open event stream',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
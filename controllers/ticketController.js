@@ -0,0 +1,175 @@
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const { generateTicketCode, parseTicketCode, verifyTicketCode } = require('../utils/ticket');
+
+// Find the current user's confirmed RSVP for an event
+const findOwnConfirmedRSVP = (userId, eventId) => RSVP.findOne({
+  user: userId,
+  event: eventId,
+  status: 'confirmed'
+});
+
+// Get ticket for current user's confirmed RSVP
+exports.getTicket = async (req, res) => {
+  try {
+    const rsvp = await findOwnConfirmedRSVP(req.user.id, req.params.eventId)
+      .populate('event', 'title date endDate timezone location');
+
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'No confirmed RSVP found for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ticketCode: generateTicketCode(rsvp),
+        event: rsvp.event,
+        checkedInAt: rsvp.checkedInAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Ticket Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket',
+      error: error.message
+    });
+  }
+};
+
+// Render ticket as a QR code image (PNG or SVG)
+exports.getTicketQR = async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+
+    if (!['png', 'svg'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be either png or svg'
+      });
+    }
+
+    const rsvp = await findOwnConfirmedRSVP(req.user.id, req.params.eventId);
+
+    if (!rsvp) {
+      return res.status(404).json({
+        success: false,
+        message: 'No confirmed RSVP found for this event'
+      });
+    }
+
+    const ticketCode = generateTicketCode(rsvp);
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 300 };
+
+    res.set('Cache-Control', 'private, no-store');
+
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(ticketCode, { ...options, type: 'svg' }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(ticketCode, options));
+    }
+
+  } catch (error) {
+    console.error('Get Ticket QR Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate ticket QR code',
+      error: error.message
+    });
+  }
+};
+
+// Check in an attendee by scanning their ticket (event team only)
+exports.checkIn = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticketCode } = req.body;
+
+    const event = await Event.findById(eventId).select('organizer staff');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Owner, co-organizers and check-in staff can check attendees in
+    if (!event.can(req.user.id, 'check-in')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in attendees for this event'
+      });
+    }
+
+    // Step 1: Validate the ticket signature
+    const rsvpId = parseTicketCode(ticketCode);
+    const rsvp = rsvpId ? await RSVP.findById(rsvpId) : null;
+
+    if (!rsvp || !verifyTicketCode(ticketCode, rsvp)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket'
+      });
+    }
+
+    if (rsvp.event.toString() !== eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket is for a different event'
+      });
+    }
+
+    // Step 2: ATOMIC UPDATE - Only the first scan of a confirmed RSVP succeeds
+    const checkedIn = await RSVP.findOneAndUpdate(
+      {
+        _id: rsvp._id,
+        status: 'confirmed',
+        checkedInAt: null
+      },
+      {
+        checkedInAt: new Date(),
+        checkedInBy: req.user.id
+      },
+      { new: true }
+    ).populate('user', 'name email avatar');
+
+    if (!checkedIn) {
+      const current = await RSVP.findById(rsvp._id);
+
+      if (current && current.status === 'confirmed' && current.checkedInAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ticket has already been checked in',
+          data: {
+            checkedInAt: current.checkedInAt
+          }
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'RSVP is no longer confirmed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendee checked in successfully',
+      data: checkedIn
+    });
+
+  } catch (error) {
+    console.error('Check-in Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in attendee',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,11 +1,47 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const RSVP = require('../models/RSVP');
+const DataExport = require('../models/DataExport');
+const { deleteAccount } = require('../utils/trash');
+const {
+  EXPORT_FORMATS,
+  SYNC_RECORD_LIMIT,
+  countUserRecords,
+  collectUserData,
+  serializeExport,
+  exportFileName,
+  signDownload,
+  verifyDownload,
+  buildExportNow
+} = require('../utils/dataExport');
+
+// Profile fields anyone can see
+const PUBLIC_PROFILE_FIELDS = 'name avatar bio role organizerRating createdAt';
+
+// Status of a background export, with a signed download link once it is ready
+const exportStatus = (req, dataExport) => ({
+  id: dataExport._id,
+  format: dataExport.format,
+  status: dataExport.status,
+  recordCount: dataExport.recordCount,
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  error: dataExport.status === 'failed' ? dataExport.error : undefined,
+  statusUrl: `${req.protocol}://${req.get('host')}/api/users/me/exports/${dataExport._id}`,
+  downloadUrl: dataExport.isDownloadable
+    ? `${req.protocol}://${req.get('host')}/api/users/exports/${dataExport._id}/download?signature=${signDownload(dataExport)}`
+    : null
+});
 
 // Get user profile by ID
 exports.getUserProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, status: { $ne: 'deleted' } }).select(PUBLIC_PROFILE_FIELDS)
+      : null;
 
     if (!user) {
       return res.status(404).json({
@@ -16,8 +52,12 @@ exports.getUserProfile = async (req, res) => {
 
     // Get user statistics
     const stats = {
-      eventsCreated: await Event.countDocuments({ organizer: user._id }),
-      eventsAttending: await RSVP.countDocuments({ user: user._id, status: 'confirmed' })
+      eventsCreated: await Event.countDocuments({ organizer: user._id, ...Event.listedFilter() }),
+      eventsAttending: await RSVP.countDocuments({ user: user._id, status: 'confirmed' }),
+      rating: {
+        average: user.organizerRating ? user.organizerRating.average : 0,
+        count: user.organizerRating ? user.organizerRating.count : 0
+      }
     };
 
     res.json({
@@ -137,23 +177,36 @@ exports.updateAvatar = async (req, res) => {
   }
 };
 
-// Delete user account
+// Delete user account ({ password }) - restorable during the grace period, then purged
 exports.deleteAccount = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { password } = req.body || {};
 
-    // Delete all events created by user
-    await Event.deleteMany({ organizer: userId });
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm with your password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
 
-    // Delete all RSVPs by user
-    await RSVP.deleteMany({ user: userId });
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
 
-    // Delete user account
-    await User.findByIdAndDelete(userId);
+    // Leaves attended events, trashes organized ones and signs out everywhere
+    const deleted = await deleteAccount(user);
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: 'Account deleted. You can restore it until it is permanently removed.',
+      data: {
+        purgeAt: deleted ? deleted.purgeAt : null
+      }
     });
 
   } catch (error) {
@@ -164,4 +217,157 @@ exports.deleteAccount = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Export everything stored about the current user (?format=json|csv, ?async=true)
+// Small accounts get the file right away; large ones get a background export to poll
+exports.exportMyData = async (req, res) => {
+  try {
+    const { format = 'json', async: runAsync } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    // Step 1: Send small exports in the response
+    const recordCount = await countUserRecords(req.user.id);
+
+    if (runAsync !== 'true' && recordCount <= SYNC_RECORD_LIMIT) {
+      const contents = serializeExport(await collectUserData(req.user.id), format);
+
+      res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+      return res.send(contents);
+    }
+
+    // Step 2: One background export at a time per user
+    const inProgress = await DataExport.findOne({
+      user: req.user.id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already being prepared',
+        data: exportStatus(req, inProgress)
+      });
+    }
+
+    // Step 3: Queue the export and start building it (the data-export job picks up leftovers)
+    const dataExport = await DataExport.create({ user: req.user.id, format });
+
+    buildExportNow(dataExport._id).catch(error => console.error('Data Export Error:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. Check its status for the download link.',
+      data: exportStatus(req, dataExport)
+    });
+
+  } catch (error) {
+    console.error('Export Data Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: error.message
+    });
+  }
+};
+
+// List the current user's background exports
+exports.getMyExports = async (req, res) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.user.id })
+      .sort('-createdAt')
+      .limit(20);
+
+    res.json({
+      success: true,
+      count: dataExports.length,
+      data: dataExports.map(dataExport => exportStatus(req, dataExport))
+    });
+
+  } catch (error) {
+    console.error('Get Exports Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exports',
+      error: error.message
+    });
+  }
+};
+
+// Poll a background export
+exports.getMyExport = async (req, res) => {
+  try {
+    const dataExport = mongoose.isValidObjectId(req.params.exportId)
+      ? await DataExport.findOne({ _id: req.params.exportId, user: req.user.id })
+      : null;
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exportStatus(req, dataExport)
+    });
+
+  } catch (error) {
+    console.error('Get Export Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch export',
+      error: error.message
+    });
+  }
+};
+
+// Download a ready export through its signed link (no login needed)
+exports.downloadExport = async (req, res) => {
+  try {
+    const dataExport = mongoose.isValidObjectId(req.params.exportId)
+      ? await DataExport.findById(req.params.exportId).select('+filePath')
+      : null;
+
+    // Unknown exports and bad signatures look the same
+    if (!dataExport || !verifyDownload(dataExport, req.query.signature)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (!dataExport.isDownloadable || !dataExport.filePath) {
+      return res.status(410).json({
+        success: false,
+        message: 'This download link has expired. Please request a new export.'
+      });
+    }
+
+    res.download(dataExport.filePath, exportFileName(dataExport.format, dataExport.completedAt), (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download Export Error:', error);
+        res.status(410).json({
+          success: false,
+          message: 'This export is no longer available. Please request a new export.'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download Export Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download export',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { isAllowedWebhookUrl, sendPing } = require('../utils/webhooks');
+const { findCursorPage, parseLimit } = require('../utils/pagination');
+
+// Maximum webhooks per user
+const MAX_WEBHOOKS = parseInt(process.env.WEBHOOK_MAX_PER_USER) || 10;
+
+// Validate url/events from a request body (returns an error message or null)
+const validateWebhookInput = ({ url, events }, partial = false) => {
+  if (!partial || url !== undefined) {
+    if (!url || !isAllowedWebhookUrl(url)) {
+      return 'Please provide a public http(s) URL';
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !Webhook.EVENTS.includes(event))) {
+      return `Events must be a non-empty list of: ${Webhook.EVENTS.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Find one of the current user's webhooks
+const findOwnWebhook = (req, select) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  const query = Webhook.findOne({ _id: req.params.id, owner: req.user.id });
+  return select ? query.select(select) : query;
+};
+
+// List my webhooks
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user.id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+
+  } catch (error) {
+    console.error('Get Webhooks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhooks',
+      error: error.message
+    });
+  }
+};
+
+// Register a webhook (the signing secret is only returned here)
+exports.createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const validationError = validateWebhookInput({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (await Webhook.countDocuments({ owner: req.user.id }) >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${MAX_WEBHOOKS} webhooks`
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+      owner: req.user.id,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it will not be shown again',
+      data: {
+        ...webhook.toObject(),
+        secret
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook',
+      error: error.message
+    });
+  }
+};
+
+// Get one of my webhooks
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    console.error('Get Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook',
+      error: error.message
+    });
+  }
+};
+
+// Update url, events, description or active flag
+exports.updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const validationError = validateWebhookInput({ url, events }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = [...new Set(events)];
+    if (description !== undefined) updates.description = description;
+    if (active !== undefined) updates.active = !!active;
+
+    const webhook = mongoose.isValidObjectId(req.params.id)
+      ? await Webhook.findOneAndUpdate(
+          { _id: req.params.id, owner: req.user.id },
+          updates,
+          { new: true, runValidators: true }
+        )
+      : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    console.error('Update Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook',
+      error: error.message
+    });
+  }
+};
+
+// Delete a webhook and its delivery log
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+};
+
+// Replace the signing secret (returns the new one once)
+exports.rotateSecret = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Secret rotated. Store the new secret now - it will not be shown again',
+      data: {
+        secret
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate Webhook Secret Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate webhook secret',
+      error: error.message
+    });
+  }
+};
+
+// Send a test ping and return the result of the attempt
+exports.testWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendPing(webhook);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Test Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test ping',
+      error: error.message
+    });
+  }
+};
+
+// Delivery log of a webhook (newest first, cursor paginated)
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { status, limit, after, before } = req.query;
+
+    const webhook = await findOwnWebhook(req, '_id');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const page = await findCursorPage(
+      query => WebhookDelivery.find(query),
+      filter,
+      { sort: { field: 'createdAt', direction: -1 }, limit: parseLimit(limit, 20), after, before }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.items
+    });
+
+  } catch (error) {
+    console.error('Get Webhook Deliveries Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deliveries',
+      error: error.message
+    });
+  }
+};
+
+// Queue a failed delivery for one more attempt
+exports.redeliver = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, '_id');
+
+    if (!webhook || !mongoose.isValidObjectId(req.params.deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhook: webhook._id, status: 'failed', event: { $ne: 'ping' } },
+      { status: 'pending', nextAttemptAt: new Date() },
+      { new: true }
+    );
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed delivery found with that id'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery queued for another attempt',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Redeliver Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue delivery',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { processExports } = require('../utils/dataExport');
+
+/**
+ * Build queued personal data exports and delete files whose download link expired.
+ * Exports are normally built as soon as they are requested - this job picks up
+ * anything a restarted process left behind.
+ * @returns {Promise<object>} Number of exports per outcome
+ */
+const runExports = () => processExports(parseInt(process.env.EXPORT_BATCH_SIZE) || 10);
+
+module.exports = {
+  name: 'data-export',
+  intervalMs: parseInt(process.env.EXPORT_INTERVAL_MS) || 60 * 1000,
+  // Lease covers a full batch of large accounts
+  leaseMs: 30 * 60 * 1000,
+  handler: runExports
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+const Event = require('../models/Event');
+const { publishEventUpdate } = require('../utils/liveEvents');
+
+// Move matching events to a new status and push the change to open event pages
+const transition = async (filter, status) => {
+  const ids = await Event.distinct('_id', filter);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  // Filter again so events edited in the meantime aren't overwritten
+  const result = await Event.updateMany({ ...filter, _id: { $in: ids } }, { status });
+
+  for (const id of ids) {
+    await publishEventUpdate(id, 'status', { status });
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Move events through upcoming -> ongoing -> completed using bulk updates.
+ * Cancelled events are never touched. The status hook on Event only runs on
+ * save, so without this job an unedited event would stay "upcoming" forever.
+ * @returns {Promise<object>} Number of events changed per transition
+ */
+const updateEventStatuses = async () => {
+  const now = new Date();
+
+  // Older events may predate endDate - give them the default duration first
+  const backfilled = await Event.updateMany(
+    { endDate: null, date: { $ne: null } },
+    [{ $set: { endDate: { $add: ['$date', Event.DEFAULT_DURATION_MS] } } }]
+  );
+
+  const completed = await transition(
+    {
+      status: { $in: ['upcoming', 'ongoing'] },
+      endDate: { $lte: now }
+    },
+    'completed'
+  );
+
+  const ongoing = await transition(
+    {
+      status: 'upcoming',
+      date: { $lte: now },
+      endDate: { $gt: now }
+    },
+    'ongoing'
+  );
+
+  return {
+    backfilledEndDates: backfilled.modifiedCount,
+    completed,
+    ongoing
+  };
+};
+
+module.exports = {
+  name: 'event-status',
+  intervalMs: parseInt(process.env.EVENT_STATUS_INTERVAL_MS) || 60 * 1000,
+  handler: updateEventStatuses
+};
\ No newline at end of file
@@ -0,0 +1,14 @@
+const scheduler = require('./scheduler');
+
+// Periodic jobs - add new ones here
+const jobs = [
+  require('./dataExportJob'),
+  require('./eventStatusJob'),
+  require('./reconfirmationJob'),
+  require('./trashPurgeJob'),
+  require('./webhookDeliveryJob')
+];
+
+jobs.forEach(({ name, ...options }) => scheduler.registerJob(name, options));
+
+module.exports = scheduler;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const RSVP = require('../models/RSVP');
+const { releaseRSVP } = require('../utils/eventLifecycle');
+
+/**
+ * Release the spots of attendees who didn't reconfirm a postponed event in
+ * time. Each released spot goes to the oldest waitlisted user, exactly like
+ * a cancellation made by the attendee.
+ * @returns {Promise<object>} Number of released spots
+ */
+const releaseUnconfirmedSpots = async () => {
+  const now = new Date();
+  const batchSize = parseInt(process.env.RECONFIRM_BATCH_SIZE) || 200;
+
+  const due = await RSVP.find({ status: 'confirmed', reconfirmBy: { $lte: now } })
+    .select('event user status')
+    .limit(batchSize);
+
+  let released = 0;
+
+  for (const rsvp of due) {
+    // Skips RSVPs reconfirmed or cancelled since the query
+    const cancelled = await releaseRSVP(rsvp, {
+      cancellationReason: 'not_reconfirmed',
+      filter: { reconfirmBy: { $lte: now } }
+    });
+
+    if (cancelled) {
+      released += 1;
+    }
+  }
+
+  return { released };
+};
+
+module.exports = {
+  name: 'rsvp-reconfirmation',
+  intervalMs: parseInt(process.env.RECONFIRM_INTERVAL_MS) || 5 * 60 * 1000,
+  handler: releaseUnconfirmedSpots
+};
\ No newline at end of file
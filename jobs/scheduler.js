@@ -0,0 +1,176 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const JobLock = require('../models/JobLock');
+
+/**
+ * In-process job scheduler
+ *
+ * Jobs run on a fixed interval. Before each run the instance takes a lease
+ * in MongoDB (JobLock), so when several server processes are running only
+ * one of them executes a given job at a time. A crashed holder's lease
+ * simply expires.
+ */
+
+// Unique per process, recorded on the lease
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a periodic job
+ * @param {string} name - Unique job name
+ * @param {object} options - { intervalMs, leaseMs, handler }
+ *   handler is an async function whose return value is stored as lastResult
+ */
+const registerJob = (name, { intervalMs, leaseMs, handler }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  if (!intervalMs || typeof handler !== 'function') {
+    throw new Error('Job needs an intervalMs and a handler function');
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    // Lease must outlive a slow run (it is released when the run ends). If the
+    // holder crashes, other instances skip the job until it expires - by
+    // default that costs at most two runs
+    leaseMs: leaseMs || Math.max(intervalMs * 2, 60 * 1000),
+    handler,
+    timer: null,
+    running: false
+  });
+
+  if (started) {
+    schedule(jobs.get(name));
+  }
+};
+
+/**
+ * Run a job once on this instance, if the lease can be taken
+ * @param {string} name - Job name
+ * @returns {Promise<object|null>} Run summary, or null if skipped
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Skip while disconnected or if the previous run hasn't finished
+  if (job.running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  job.running = true;
+
+  try {
+    const lease = await JobLock.acquire(name, instanceId, job.leaseMs);
+
+    if (!lease) {
+      return null;
+    }
+
+    const startedAt = new Date();
+    const summary = { lastRunAt: startedAt };
+
+    try {
+      summary.lastResult = await job.handler();
+      summary.lastStatus = 'success';
+      summary.lastError = null;
+    } catch (error) {
+      console.error(`Job ${name} Error:`, error);
+      summary.lastStatus = 'failed';
+      summary.lastError = error.message;
+    }
+
+    summary.lastFinishedAt = new Date();
+    summary.lastDurationMs = summary.lastFinishedAt - startedAt;
+
+    await JobLock.release(name, instanceId, summary);
+    return summary;
+
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start the interval timer for a job
+const schedule = (job) => {
+  const tick = () => runJob(job.name).catch(error => {
+    console.error(`Scheduler Error (${job.name}):`, error);
+  });
+
+  job.timer = setInterval(tick, job.intervalMs);
+  job.timer.unref();
+
+  // First run shortly after boot rather than a full interval later
+  setTimeout(tick, 5 * 1000).unref();
+};
+
+/**
+ * Start running every registered job
+ */
+const start = () => {
+  if (started) {
+    return;
+  }
+
+  started = true;
+  jobs.forEach(schedule);
+  console.log(`⏱️  Scheduler started with ${jobs.size} job(s) [${instanceId}]`);
+};
+
+/**
+ * Stop all job timers (in-flight runs finish on their own)
+ */
+const stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+};
+
+/**
+ * Status of every registered job, including the last run from any instance
+ * @returns {Promise<object[]>} Job status list
+ */
+const getStatus = async () => {
+  const locks = await JobLock.find({ _id: { $in: [...jobs.keys()] } }).lean();
+  const lockByName = new Map(locks.map(lock => [lock._id, lock]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const lock = lockByName.get(job.name) || {};
+
+    return {
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: !!(lock.lockedUntil && lock.lockedUntil > now),
+      lockedBy: lock.lockedUntil && lock.lockedUntil > now ? lock.lockedBy : null,
+      lastRunAt: lock.lastRunAt || null,
+      lastFinishedAt: lock.lastFinishedAt || null,
+      lastDurationMs: lock.lastDurationMs ?? null,
+      lastStatus: lock.lastStatus || null,
+      lastError: lock.lastError || null,
+      lastResult: lock.lastResult ?? null,
+      lastRunBy: lock.lastRunBy || null,
+      runCount: lock.runCount || 0
+    };
+  });
+};
+
+module.exports = {
+  instanceId,
+  registerJob,
+  runJob,
+  start,
+  stop,
+  getStatus
+};
\ No newline at end of file
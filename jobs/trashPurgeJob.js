@@ -0,0 +1,42 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { purgeEvent, purgeAccount } = require('../utils/trash');
+
+/**
+ * Permanently remove trashed events and deleted accounts whose grace
+ * period is over, with everything that belongs to them.
+ * @returns {Promise<object>} Number of purged events and accounts
+ */
+const purgeTrash = async () => {
+  const now = new Date();
+  const batchSize = parseInt(process.env.TRASH_PURGE_BATCH_SIZE) || 50;
+
+  const users = await User.find({ status: 'deleted', purgeAt: { $lte: now } })
+    .select('_id')
+    .limit(batchSize);
+
+  for (const user of users) {
+    await purgeAccount(user._id);
+  }
+
+  const events = await Event.find({ deletedAt: { $ne: null }, purgeAt: { $lte: now } })
+    .select('_id')
+    .limit(batchSize);
+
+  for (const event of events) {
+    await purgeEvent(event._id);
+  }
+
+  return {
+    accounts: users.length,
+    events: events.length
+  };
+};
+
+module.exports = {
+  name: 'trash-purge',
+  intervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  // Lease covers a full batch of large accounts
+  leaseMs: 30 * 60 * 1000,
+  handler: purgeTrash
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { processDueDeliveries } = require('../utils/webhooks');
+
+/**
+ * Send queued webhook deliveries that are due, including retries.
+ * New deliveries are normally sent as soon as they are queued - this job
+ * picks up retries and anything a restarted process left behind.
+ * @returns {Promise<object>} Number of deliveries per outcome
+ */
+const deliverWebhooks = () => processDueDeliveries(parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50);
+
+module.exports = {
+  name: 'webhook-delivery',
+  intervalMs: parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS) || 15 * 1000,
+  // Lease covers a full batch of slow endpoints
+  leaseMs: 10 * 60 * 1000,
+  handler: deliverWebhooks
+};
\ No newline at end of file
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Generate JWT Token
 exports.generateToken = (userId) => {
@@ -19,15 +20,73 @@ exports.verifyToken = (token) => {
   }
 };
 
-// Protect Routes Middleware
-exports.protect = async (req, res, next) => {
-  let token;
-
-  // Check for token in Authorization header
+// Read the Bearer token from the Authorization header
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Resolve the user behind an access token
+// Returns { user, sessionId }, or { status, message } when the token can't be used
+const authenticate = async (token) => {
+  let decoded;
+
+  try {
+    // Verify token
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { status: 401, message: 'Token expired. Please login again.' };
+    }
+
+    return { status: 401, message: 'Invalid token. Please login again.' };
+  }
+
+  // Refresh tokens may share the secret but are only valid at /refresh
+  if (decoded.type === 'refresh') {
+    return { status: 401, message: 'Invalid token. Please login again.' };
   }
 
+  // Reject access tokens whose session was revoked (logout, lost device)
+  if (decoded.sid) {
+    const session = await Session.exists({ _id: decoded.sid, revokedAt: null });
+
+    if (!session) {
+      return { status: 401, message: 'Session has been revoked. Please login again.' };
+    }
+  }
+
+  // Get user from token
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { status: 401, message: 'User not found. Token is invalid.' };
+  }
+
+  // Deleted accounts can only be restored through /api/auth/restore-account
+  if (user.status === 'deleted') {
+    return { status: 401, message: 'This account has been deleted.' };
+  }
+
+  // Suspended accounts are locked out even with a valid token
+  if (user.status === 'suspended') {
+    return { status: 403, message: 'Your account has been suspended. Please contact support.' };
+  }
+
+  // Tokens issued before a password change are no longer valid
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { status: 401, message: 'Password was changed recently. Please login again.' };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Protect Routes Middleware
+exports.protect = async (req, res, next) => {
+  const token = getBearerToken(req);
+
   // Check if token exists
   if (!token) {
     return res.status(401).json({
@@ -37,37 +96,23 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, sessionId, status, message } = await authenticate(token);
 
-    // Get user from token
-    req.user = await User.findById(decoded.id).select('-password');
-
-    if (!req.user) {
-      return res.status(401).json({
+    if (!user) {
+      return res.status(status).json({
         success: false,
-        message: 'User not found. Token is invalid.'
+        message
       });
     }
 
+    req.user = user;
+    if (sessionId) {
+      req.sessionId = sessionId;
+    }
+
     next();
   } catch (error) {
     console.error('Auth Middleware Error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token. Please login again.'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired. Please login again.'
-      });
-    }
-
     return res.status(401).json({
       success: false,
       message: 'Not authorized to access this route'
@@ -75,6 +120,41 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Optional auth middleware - attaches req.user for a valid token; a missing,
+// expired or otherwise unusable token continues as a guest on public routes
+exports.optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      const { user, sessionId } = await authenticate(token);
+
+      if (user) {
+        req.user = user;
+        if (sessionId) {
+          req.sessionId = sessionId;
+        }
+      }
+    } catch (error) {
+      console.error('Optional Auth Error:', error);
+    }
+  }
+
+  next();
+};
+
+// Verified email middleware (enforced when REQUIRE_EMAIL_VERIFICATION=true)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || (req.user && req.user.isEmailVerified)) {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue.'
+    });
+  }
+};
+
 // Admin only middleware
 exports.adminOnly = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
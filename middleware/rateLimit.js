@@ -0,0 +1,43 @@
+const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
+
+// Count requests per user when authenticated, otherwise per IP
+const userOrIpKey = (req) => (req.user ? `user:${req.user.id}` : ipKeyGenerator(req.ip));
+
+// Build a per-minute limiter with a JSON error body
+const perMinute = (limit, message) => rateLimit({
+  windowMs: 60 * 1000,
+  limit,
+  keyGenerator: userOrIpKey,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message
+  }
+});
+
+// Posting comments, reviews and reports (anti-spam)
+exports.commentPostLimiter = perMinute(
+  parseInt(process.env.COMMENT_POST_LIMIT_PER_MINUTE) || 5,
+  'You are posting too quickly, please wait a moment'
+);
+
+// Reading comment and review listings
+exports.commentReadLimiter = perMinute(
+  parseInt(process.env.COMMENT_READ_LIMIT_PER_MINUTE) || 60,
+  'Too many requests, please try again later'
+);
+
+// Requesting personal data exports (each one reads the whole account)
+exports.exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.EXPORT_LIMIT_PER_HOUR) || 5,
+  keyGenerator: userOrIpKey,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many export requests, please try again later'
+  }
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Entries are removed by MongoDB this long after they were written
+const RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+
+// Recorded actions
+const AUDIT_ACTIONS = [
+  'auth.login', // Successful login
+  'auth.login_failed', // Wrong email or password, or a suspended/deleted account
+  'user.profile_updated', // Name, bio or avatar changed
+  'event.created',
+  'event.updated',
+  'event.deleted', // Moved to the trash
+  'event.restored', // Taken out of the trash
+  'rsvp.created', // Confirmed or waitlisted
+  'rsvp.cancelled' // Left the event or the waitlist
+];
+
+// Kinds of records an entry can be about
+const AUDIT_TARGETS = ['User', 'Event', 'RSVP'];
+
+// One changed field of the target
+const ChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// Append-only record of a security- or data-relevant action
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Missing for failed logins with an unknown email
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Audit action is required']
+  },
+  targetModel: {
+    type: String,
+    enum: AUDIT_TARGETS
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event' // Event the entry belongs to (event and RSVP actions) - lets owners see its history
+  },
+  changes: {
+    type: [ChangeSchema],
+    default: undefined
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the query endpoints (newest first)
+AuditLogSchema.index({ event: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// TTL index: MongoDB removes entries at their expiresAt. The retention is
+// stored per entry because a TTL index keeps its expireAfterSeconds once built
+AuditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only: entries can be written once and never changed or deleted by the app
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+AuditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+AuditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+AuditLogSchema.statics.AUDIT_TARGETS = AUDIT_TARGETS;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
\ No newline at end of file
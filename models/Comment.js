@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Discussion / Q&A comment on an event (replies are one level deep)
+const CommentSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Comment must belong to an event']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment must have an author']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null // Top-level comment when null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  isOfficial: {
+    type: Boolean,
+    default: false // Posted by the event owner or a co-organizer
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['visible', 'hidden', 'deleted'],
+    default: 'visible'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for listing a thread (newest top-level comments, pinned first) and its replies
+CommentSchema.index({ event: 1, parent: 1, status: 1, createdAt: -1 });
+CommentSchema.index({ event: 1, parent: 1, isPinned: 1 });
+
+// Validation: Posts need a body (deleted comments have it cleared)
+CommentSchema.pre('validate', function() {
+  if (this.status !== 'deleted' && !this.body) {
+    this.invalidate('body', 'Please provide a comment');
+  }
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
\ No newline at end of file
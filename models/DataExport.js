@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Export records are removed this long after their download link expired
+const RECORD_RETENTION_DAYS = parseInt(process.env.EXPORT_RECORD_RETENTION_DAYS) || 7;
+
+// Personal data export requested by a user (generated in the background)
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Export must belong to a user']
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv'],
+    default: 'json'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  size: {
+    type: Number // Bytes
+  },
+  recordCount: {
+    type: Number
+  },
+  startedAt: {
+    type: Date // Processing lease - stale exports are picked up again
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date // Download link stops working after this time
+  },
+  removeAt: {
+    type: Date // Record is deleted by MongoDB at this time (set with expiresAt)
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the user's export history
+DataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Index for the data-export job (queue and expiry)
+DataExportSchema.index({ status: 1, createdAt: 1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// TTL index: MongoDB removes export records a while after their link expired.
+// The time is stored per record because a TTL index keeps its expireAfterSeconds once built
+DataExportSchema.index({ removeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keep removeAt in step with the link expiry
+DataExportSchema.pre('save', function() {
+  if (this.isModified('expiresAt') && this.expiresAt) {
+    this.removeAt = new Date(this.expiresAt.getTime() + RECORD_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+});
+
+// Virtual for checking if the file can be downloaded
+DataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'ready' && !!this.expiresAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
\ No newline at end of file
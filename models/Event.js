@@ -1,4 +1,80 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isLatitude, isLongitude } = require('../utils/geo');
+
+// Structured venue address (optional - location stays the display string)
+const VenueSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: [200, 'Venue name cannot exceed 200 characters'] },
+  street: { type: String, trim: true, maxlength: [200, 'Street cannot exceed 200 characters'] },
+  city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+  region: { type: String, trim: true, maxlength: [100, 'Region cannot exceed 100 characters'] },
+  postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot exceed 20 characters'] },
+  country: { type: String, trim: true, maxlength: [100, 'Country cannot exceed 100 characters'] }
+}, { _id: false });
+
+// GeoJSON Point - coordinates are [longitude, latitude]
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2 && isLongitude(value[0]) && isLatitude(value[1]),
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Who can find and open an event:
+// public - listed and searchable; unlisted - only via direct link; private - invite-only
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Event-level staff roles (the organizer field is the owner)
+const STAFF_ROLES = ['co-organizer', 'check-in'];
+
+// What each event role is allowed to do
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'edit', 'cancel', 'delete', 'invite', 'moderate', 'manage-staff', 'transfer', 'view-attendees', 'export', 'check-in', 'view-audit-log'],
+  'co-organizer': ['view', 'edit', 'invite', 'moderate', 'view-attendees', 'export', 'check-in'],
+  'check-in': ['view', 'view-attendees', 'check-in']
+};
+
+// A staff member of an event - pending until the invited user accepts
+const StaffSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Fallback length for events created before end times existed
+const DEFAULT_DURATION_MS = 4 * 60 * 60 * 1000;
 
 const EventSchema = new mongoose.Schema({
   title: {
@@ -23,12 +99,38 @@ const EventSchema = new mongoose.Schema({
       message: 'Event date must be in the future'
     }
   },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        // Only checkable on documents - update queries are validated in the controller
+        return !(this && this.date instanceof Date) || value > this.date;
+      },
+      message: 'Event end time must be after the start time'
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please provide a valid IANA time zone (e.g. Europe/Berlin)'
+    }
+  },
   location: {
     type: String,
     required: [true, 'Please provide event location'],
     trim: true,
     maxlength: [200, 'Location cannot exceed 200 characters']
   },
+  venue: {
+    type: VenueSchema,
+    default: undefined
+  },
+  geo: {
+    type: PointSchema,
+    default: undefined // Events without coordinates stay out of the 2dsphere index
+  },
   capacity: {
     type: Number,
     required: [true, 'Please provide event capacity'],
@@ -55,19 +157,87 @@ const EventSchema = new mongoose.Schema({
     enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
     default: 'upcoming'
   },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  postponedAt: {
+    type: Date
+  },
+  postponementReason: {
+    type: String,
+    maxlength: [500, 'Postponement reason cannot exceed 500 characters']
+  },
+  originalDate: {
+    type: Date // Start time before the first postponement
+  },
+  reconfirmBy: {
+    type: Date // Attendees of a postponed event must reconfirm before this time
+  },
+  isPublished: {
+    type: Boolean,
+    default: true
+  },
+  sequence: {
+    type: Number,
+    default: 0 // iCalendar SEQUENCE, bumped whenever calendar-visible details change
+  },
   organizer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Event must have an organizer']
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  occurrenceDate: {
+    type: Date // Originally scheduled date within its series
+  },
+  isSeriesException: {
+    type: Boolean,
+    default: false // Edited individually, no longer matches the series defaults
+  },
   attendees: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  staff: [StaffSchema],
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  rating: {
+    average: { type: Number, default: 0 }, // Maintained by Review.updateAggregates
+    count: { type: Number, default: 0 }
+  },
+  commentPolicy: {
+    type: String,
+    enum: ['attendees', 'open', 'disabled'],
+    default: 'attendees' // Who may post in the discussion: confirmed attendees, any user, or nobody
+  },
   tags: [{
     type: String,
     trim: true
   }],
+  deletedAt: {
+    type: Date // Set while the event is in the trash
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletionCause: {
+    type: String,
+    enum: ['owner', 'account'] // Deleted on its own, or with the organizer's account
+  },
+  purgeAt: {
+    type: Date // Permanently removed by the trash-purge job after this time
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -80,9 +250,14 @@ const EventSchema = new mongoose.Schema({
 
 // Indexes for performance
 EventSchema.index({ date: 1, status: 1 }); // Query by date and status
+EventSchema.index({ endDate: 1, status: 1 }); // Query by end time and status
 EventSchema.index({ organizer: 1 }); // Query events by organizer
+EventSchema.index({ 'staff.user': 1 }); // Events a user helps run
 EventSchema.index({ category: 1 }); // Filter by category
+EventSchema.index({ geo: '2dsphere' }); // Near-me and map (bounding box) queries
 EventSchema.index({ title: 'text', description: 'text' }); // Text search
+EventSchema.index({ series: 1, occurrenceDate: 1 }); // Walk occurrences of a series
+EventSchema.index({ purgeAt: 1 }, { sparse: true }); // Trashed events due for purging
 
 // Virtual for available spots
 EventSchema.virtual('availableSpots').get(function() {
@@ -94,16 +269,44 @@ EventSchema.virtual('isFull').get(function() {
   return this.currentAttendees >= this.capacity;
 });
 
-// Virtual for checking if event is past
+// Virtual for the effective end time (older events without endDate get the default duration)
+EventSchema.virtual('endsAt').get(function() {
+  if (this.endDate) {
+    return this.endDate;
+  }
+  return this.date ? new Date(new Date(this.date).getTime() + DEFAULT_DURATION_MS) : undefined;
+});
+
+// Virtual for event length in minutes
+EventSchema.virtual('durationMinutes').get(function() {
+  if (!this.date) {
+    return undefined;
+  }
+  return Math.round((this.endsAt - new Date(this.date)) / 60000);
+});
+
+// Virtual for checking if event is past (has ended)
 EventSchema.virtual('isPast').get(function() {
-  return this.date < new Date();
+  return this.endsAt < new Date();
 });
 
-// Middleware: Auto-update status based on date (Mongoose 7+ compatible)
+// Middleware: Default the end time from the start time
+EventSchema.pre('validate', function() {
+  if (this.date && !this.endDate) {
+    this.endDate = new Date(new Date(this.date).getTime() + DEFAULT_DURATION_MS);
+  }
+});
+
+// Middleware: Auto-update status based on start and end time (Mongoose 7+ compatible)
 EventSchema.pre('save', function() {
+  // Cancellation is final - never recompute it from the date
+  if (this.status === 'cancelled') {
+    return;
+  }
+
   const now = new Date();
   const eventDate = new Date(this.date);
-  const eventEndTime = new Date(eventDate.getTime() + 4 * 60 * 60 * 1000); // Assume 4-hour duration
+  const eventEndTime = new Date(this.endsAt);
 
   if (now < eventDate) {
     this.status = 'upcoming';
@@ -114,6 +317,54 @@ EventSchema.pre('save', function() {
   }
 });
 
+// Fields that calendar clients display - changing them bumps the iCalendar SEQUENCE
+const CALENDAR_FIELDS = ['title', 'description', 'date', 'endDate', 'timezone', 'location', 'status'];
+
+// Middleware: Bump sequence when a saved event changes calendar details
+EventSchema.pre('save', function() {
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.sequence = (this.sequence || 0) + 1;
+  }
+});
+
+// Middleware: Bump sequence on findOneAndUpdate/findByIdAndUpdate touching calendar details
+EventSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate() || {};
+  const set = update.$set || {};
+
+  if (CALENDAR_FIELDS.some(field => field in update || field in set)) {
+    this.setUpdate({
+      ...update,
+      $inc: { ...(update.$inc || {}), sequence: 1 }
+    });
+  }
+});
+
+// Middleware: Leave trashed events out of every query unless it opts in
+// with .setOptions({ withDeleted: true }) or filters on deletedAt itself
+EventSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  function() {
+    if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+// Middleware: Same for aggregations ($geoNear and $text must stay in the first stage)
+EventSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const [first] = pipeline;
+
+  if (first && first.$geoNear) {
+    pipeline[0] = { $geoNear: { ...first.$geoNear, query: { ...first.$geoNear.query, deletedAt: null } } };
+  } else if (first && first.$match) {
+    pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Validation: Ensure currentAttendees doesn't exceed capacity (Mongoose 7+ compatible)
 EventSchema.pre('save', function() {
   if (this.currentAttendees > this.capacity) {
@@ -121,19 +372,76 @@ EventSchema.pre('save', function() {
   }
 });
 
-// Static method: Find upcoming events
+// Static method: Find events that haven't ended yet (includes ongoing multi-day events)
 EventSchema.statics.findUpcoming = function() {
+  const now = new Date();
+
   return this.find({
-    date: { $gte: new Date() },
-    status: 'upcoming'
+    status: { $in: ['upcoming', 'ongoing'] },
+    $or: [
+      { endDate: { $gt: now } },
+      { endDate: null, date: { $gt: new Date(now.getTime() - DEFAULT_DURATION_MS) } }
+    ]
   }).sort('date');
 };
 
+// Static method: Work out an end time from an explicit end or a duration in minutes
+EventSchema.statics.computeEndDate = function(start, { endDate, duration } = {}) {
+  if (endDate) {
+    return new Date(endDate);
+  }
+  if (duration !== undefined && duration !== null && duration !== '') {
+    return new Date(new Date(start).getTime() + Number(duration) * 60 * 1000);
+  }
+  return null;
+};
+
 // Static method: Find events by organizer
 EventSchema.statics.findByOrganizer = function(organizerId) {
   return this.find({ organizer: organizerId }).sort('-createdAt');
 };
 
+// Static method: Filter for events that may appear in listings and search (older events have no visibility)
+EventSchema.statics.listedFilter = function() {
+  return { visibility: { $in: ['public', null] } };
+};
+
+// Static method: Filter for events a user owns or is active staff on
+EventSchema.statics.teamFilter = function(userId) {
+  return {
+    $or: [
+      { organizer: userId },
+      { staff: { $elemMatch: { user: userId, status: 'active' } } }
+    ]
+  };
+};
+
+// Instance method: Get a user's role on this event ('owner', a staff role, or null)
+EventSchema.methods.getRole = function(userId) {
+  if (!userId) {
+    return null;
+  }
+
+  // organizer / staff.user may or may not be populated
+  const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
+
+  if (idOf(this.organizer) === String(userId)) {
+    return 'owner';
+  }
+
+  const member = (this.staff || []).find(entry =>
+    entry.status === 'active' && idOf(entry.user) === String(userId)
+  );
+
+  return member ? member.role : null;
+};
+
+// Instance method: Check if user's event role grants a permission
+EventSchema.methods.can = function(userId, permission) {
+  const role = this.getRole(userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+};
+
 // Instance method: Check if user is attending
 EventSchema.methods.isUserAttending = function(userId) {
   return this.attendees.some(attendee => 
@@ -141,4 +449,9 @@ EventSchema.methods.isUserAttending = function(userId) {
   );
 };
 
+EventSchema.statics.DEFAULT_DURATION_MS = DEFAULT_DURATION_MS;
+EventSchema.statics.STAFF_ROLES = STAFF_ROLES;
+EventSchema.statics.VISIBILITIES = VISIBILITIES;
+EventSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
 module.exports = mongoose.model('Event', EventSchema);
\ No newline at end of file
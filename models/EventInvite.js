@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invitation to a private event: a shareable link or a per-email invite
+const EventInviteSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  type: {
+    type: String,
+    enum: ['link', 'email'],
+    required: [true, 'Invite type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false // The raw token is only shown once, when the invite is created
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true // Only set for email invites
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date
+  },
+  maxUses: {
+    type: Number,
+    min: [1, 'Max uses must be at least 1'] // Unlimited when not set
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for looking up invites by token and by invited email
+EventInviteSchema.index({ tokenHash: 1 }, { unique: true });
+EventInviteSchema.index({ event: 1, email: 1 });
+
+// Virtual for checking if the invite can still be used
+EventInviteSchema.virtual('isUsable').get(function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (!this.maxUses || this.uses < this.maxUses);
+});
+
+// Conditions matching invites that can still be used
+const usableConditions = () => ({
+  revokedAt: null,
+  $and: [
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+  ]
+});
+
+// Static method: Hash an invite token for storage/comparison
+EventInviteSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method: Generate a new random invite token
+EventInviteSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Static method: Find a usable invite for an event by its raw token
+EventInviteSchema.statics.findUsableByToken = function(eventId, token) {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    event: eventId,
+    tokenHash: this.hashToken(token),
+    ...usableConditions()
+  });
+};
+
+// Static method: Find a usable per-email invite for an event
+EventInviteSchema.statics.findUsableByEmail = function(eventId, email) {
+  if (!email) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    event: eventId,
+    type: 'email',
+    email: email.toLowerCase(),
+    ...usableConditions()
+  });
+};
+
+// Static method: Atomically record one use (returns null if the invite was used up meanwhile)
+EventInviteSchema.statics.consume = function(inviteId) {
+  return this.findOneAndUpdate(
+    { _id: inviteId, ...usableConditions() },
+    { $inc: { uses: 1 }, lastUsedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method: Give back one use whose RSVP couldn't be created
+EventInviteSchema.statics.release = function(inviteId) {
+  return this.updateOne(
+    { _id: inviteId, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
+};
+
+module.exports = mongoose.model('EventInvite', EventInviteSchema);
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const EventSeriesSchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Series must have an organizer']
+  },
+  // Defaults copied onto every generated occurrence
+  title: {
+    type: String,
+    required: [true, 'Please provide series title'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please provide series description'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  location: {
+    type: String,
+    required: [true, 'Please provide series location'],
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Please provide series capacity'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [10000, 'Capacity cannot exceed 10,000']
+  },
+  image: {
+    type: String
+  },
+  category: {
+    type: String,
+    enum: ['conference', 'workshop', 'meetup', 'seminar', 'webinar', 'social', 'other'],
+    default: 'other'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide the first occurrence date']
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Please provide occurrence duration'],
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please provide a valid IANA time zone (e.g. Europe/Berlin)'
+    }
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Please provide recurrence frequency']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1']
+    },
+    count: {
+      type: Number,
+      min: [1, 'Count must be at least 1']
+    },
+    until: {
+      type: Date
+    },
+    exceptions: [{
+      type: Date
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for querying series by organizer
+EventSeriesSchema.index({ organizer: 1 });
+
+module.exports = mongoose.model('EventSeries', EventSeriesSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job: holds the lease and the last run summary
+const JobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Job name
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lockedBy: {
+    type: String // Instance ID of the current lease holder
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastDurationMs: {
+    type: Number
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastRunBy: {
+    type: String
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method: Try to take the lease for a job (returns null if another instance holds it)
+JobLockSchema.statics.acquire = async function(name, instanceId, leaseMs) {
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        lockedBy: instanceId
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Upsert raced with an existing, still-locked document
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method: Record the outcome of a run and release the lease
+JobLockSchema.statics.release = function(name, instanceId, summary) {
+  return this.updateOne(
+    { _id: name, lockedBy: instanceId },
+    {
+      ...summary,
+      lockedUntil: new Date(),
+      lastRunBy: instanceId,
+      $inc: { runCount: 1 }
+    }
+  );
+};
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
\ No newline at end of file
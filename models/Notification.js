@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Kinds of in-app notifications (each can be turned off in the user's preferences)
+const NOTIFICATION_TYPES = [
+  'event_updated', // Date, location or status of an event you're attending changed
+  'event_cancelled', // An event you're attending was cancelled
+  'event_postponed', // An event you're attending moved to a new date (may need reconfirming)
+  'event_deleted', // An event you're attending was deleted
+  'rsvp_received', // Someone RSVP'd to an event you organize
+  'waitlist_promoted' // A spot opened up and your waitlisted RSVP was confirmed
+];
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event' // May point to a deleted event - data keeps the title
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for the inbox (newest first) and unread counts
+NotificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for checking if the notification has been read
+NotificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+// Static method: Count a user's unread notifications
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+NotificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
@@ -23,6 +23,30 @@ const RSVPSchema = new mongoose.Schema({
   cancellationDate: {
     type: Date
   },
+  cancellationReason: {
+    type: String,
+    enum: ['event_cancelled', 'not_reconfirmed', 'account_deleted'] // Unset when the attendee cancelled themselves
+  },
+  reconfirmBy: {
+    type: Date // Set when the event was postponed - the spot is released if not reconfirmed in time
+  },
+  reconfirmedAt: {
+    type: Date
+  },
+  promotedAt: {
+    type: Date
+  },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ticketVersion: {
+    type: Number,
+    default: 0 // Signed into ticket codes - bumped on reactivation so old codes stop working
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
@@ -40,13 +64,22 @@ RSVPSchema.index({ event: 1, status: 1 });
 // Index for querying RSVPs by user
 RSVPSchema.index({ user: 1, status: 1 });
 
+// Index for counting checked-in attendees
+RSVPSchema.index({ event: 1, checkedInAt: 1 });
+
+// Index for walking an event's waitlist in join order
+RSVPSchema.index({ event: 1, status: 1, rsvpDate: 1 });
+
+// Index for releasing spots that weren't reconfirmed in time
+RSVPSchema.index({ status: 1, reconfirmBy: 1 });
+
 // Prevent duplicate RSVPs (extra validation) - Mongoose 7+ compatible
 RSVPSchema.pre('save', async function() {
   if (this.isNew) {
     const existing = await mongoose.model('RSVP').findOne({
       user: this.user,
       event: this.event,
-      status: 'confirmed'
+      status: { $in: ['confirmed', 'waitlist'] }
     });
 
     if (existing) {
@@ -64,4 +97,47 @@ RSVPSchema.pre('save', function() {
   }
 });
 
+// Static method: Create an RSVP, reusing the user's cancelled one for this event
+// (the unique user+event index allows only one RSVP document per pair)
+RSVPSchema.statics.createOrReactivate = async function(userId, eventId, status) {
+  const reactivated = await this.findOneAndUpdate(
+    { user: userId, event: eventId, status: 'cancelled' },
+    {
+      status,
+      rsvpDate: new Date(),
+      $inc: { ticketVersion: 1 },
+      $unset: {
+        cancellationDate: 1,
+        cancellationReason: 1,
+        promotedAt: 1,
+        checkedInAt: 1,
+        checkedInBy: 1,
+        reconfirmBy: 1,
+        reconfirmedAt: 1
+      }
+    },
+    { new: true }
+  );
+
+  return reactivated || this.create({ user: userId, event: eventId, status });
+};
+
+// Instance method: 1-based position on the event's waitlist (null if not waitlisted)
+RSVPSchema.methods.getWaitlistPosition = async function() {
+  if (this.status !== 'waitlist') {
+    return null;
+  }
+
+  const ahead = await mongoose.model('RSVP').countDocuments({
+    event: this.event,
+    status: 'waitlist',
+    $or: [
+      { rsvpDate: { $lt: this.rsvpDate } },
+      { rsvpDate: this.rsvpDate, _id: { $lt: this._id } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
 module.exports = mongoose.model('RSVP', RSVPSchema);
\ No newline at end of file
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Reports from confirmed attendees needed before a review is hidden
+// automatically (admins can restore it). Other reports only queue it for review
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+const ReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abuse', 'off-topic', 'other'],
+    default: 'other'
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Report details cannot exceed 500 characters']
+  },
+  attendee: {
+    type: Boolean,
+    default: false // Reporter had a confirmed RSVP for the event
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Post-event rating and review (one per attendee and event)
+const ReviewSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Review must belong to an event']
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Event owner at the time of the review - used for profile ratings
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have an author']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  response: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Response cannot exceed 2000 characters']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: {
+      type: Date
+    }
+  },
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible' // Hidden reviews don't count towards ratings
+  },
+  reports: {
+    type: [ReportSchema],
+    default: [],
+    select: false
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  attendeeReportCount: {
+    type: Number,
+    default: 0 // Reports from confirmed attendees - only these hide a review automatically
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per attendee and event
+ReviewSchema.index({ event: 1, user: 1 }, { unique: true });
+
+// Indexes for listings and rating aggregation
+ReviewSchema.index({ event: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ organizer: 1, status: 1 });
+ReviewSchema.index({ status: 1, reportCount: -1 });
+
+// Average and count of visible reviews matching a filter
+const summarize = async (Review, match) => {
+  const [result] = await Review.aggregate([
+    { $match: { ...match, status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  return {
+    average: result ? Math.round(result.average * 10) / 10 : 0,
+    count: result ? result.count : 0
+  };
+};
+
+// Static method: Recompute the rating stored on an event and on its organizer's profile
+ReviewSchema.statics.updateAggregates = async function(eventId, organizerId) {
+  const Event = mongoose.model('Event');
+  const User = mongoose.model('User');
+
+  const [eventRating, organizerRating] = await Promise.all([
+    summarize(this, { event: new mongoose.Types.ObjectId(String(eventId)) }),
+    summarize(this, { organizer: new mongoose.Types.ObjectId(String(organizerId)) })
+  ]);
+
+  await Promise.all([
+    Event.updateOne({ _id: eventId }, { rating: eventRating }),
+    User.updateOne({ _id: organizerId }, { organizerRating })
+  ]);
+
+  return { eventRating, organizerRating };
+};
+
+// Static method: Star distribution of an event's visible reviews ({ 1: n, ..., 5: n })
+ReviewSchema.statics.getDistribution = async function(eventId) {
+  const rows = await this.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(String(eventId)), status: 'visible' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  return [1, 2, 3, 4, 5].reduce((acc, stars) => {
+    const row = rows.find(r => r._id === stars);
+    acc[stars] = row ? row.count : 0;
+    return acc;
+  }, {});
+};
+
+ReviewSchema.statics.REPORT_HIDE_THRESHOLD = REPORT_HIDE_THRESHOLD;
+
+module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false // Never expose the current refresh token hash
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'reuse-detected', 'password-change', 'password-reset', 'suspended', 'account-deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's active sessions
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// TTL index: MongoDB removes sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if session can still be used
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method: Hash a refresh token for storage/comparison
+SessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method: Find a user's active sessions
+SessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastUsedAt');
+};
+
+// Static method: Revoke every active session of a user (optionally keeping one)
+SessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Instance method: Revoke this session
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -38,6 +39,72 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'deleted'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date // Set while the account waits out its deletion grace period
+  },
+  purgeAt: {
+    type: Date // Permanently removed by the trash-purge job after this time
+  },
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot be more than 500 characters']
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false // Only the SHA-256 hash is stored
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  calendarToken: {
+    type: String,
+    select: false // Secret part of the personal calendar feed URL
+  },
+  passwordResetToken: {
+    type: String,
+    select: false // Only the SHA-256 hash is stored
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Average rating across reviews of events the user organized (maintained by Review.updateAggregates)
+  organizerRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  // In-app notification types the user wants to receive (see models/Notification.js)
+  notificationPreferences: {
+    event_updated: { type: Boolean, default: true },
+    event_cancelled: { type: Boolean, default: true },
+    event_postponed: { type: Boolean, default: true },
+    event_deleted: { type: Boolean, default: true },
+    rsvp_received: { type: Boolean, default: true },
+    waitlist_promoted: { type: Boolean, default: true }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -56,13 +123,58 @@ UserSchema.pre('save', async function() {
   // Hash the password
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record when an existing user's password changed (invalidates older tokens)
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
+// Index for looking up calendar feeds by token
+UserSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
+// Index for finding deleted accounts due for purging
+UserSchema.index({ status: 1, purgeAt: 1 });
+
 // Method to compare passwords
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to create a single-use password reset token (returns the raw token)
+UserSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(
+    Date.now() + (parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30) * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Method to create an email verification token (returns the raw token)
+UserSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(
+    Date.now() + (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24) * 60 * 60 * 1000
+  );
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Method to check whether a token was issued before the last password change
+UserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Virtual for full name (example)
 UserSchema.virtual('eventCount', {
   ref: 'Event',
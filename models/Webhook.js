@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Activity organizers can subscribe to ('ping' is only sent by the test endpoint)
+const WEBHOOK_EVENTS = [
+  'rsvp.created',
+  'rsvp.cancelled',
+  'event.updated',
+  'event.cancelled',
+  'event.postponed',
+  'event.deleted',
+  'event.restored'
+];
+
+// Endpoint an organizer registered to receive activity on their events
+const WebhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Webhook must have an owner']
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide the endpoint URL'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false // Shared HMAC secret - only shown when created or rotated
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding the subscribers of an organizer's activity
+WebhookSchema.index({ owner: 1, active: 1, events: 1 });
+
+// Static method: Generate a signing secret
+WebhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+WebhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
\ No newline at end of file
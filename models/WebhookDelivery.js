@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Delivery logs are removed this long after they were queued
+const LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+// One HTTP attempt at delivering a webhook
+const AttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// Queued webhook payload and its delivery log
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event name is required'] // e.g. rsvp.created, or ping
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending' // failed = gave up after the last retry
+  },
+  attempts: {
+    type: [AttemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now // Also pushed forward while a worker holds the delivery
+  },
+  responseBody: {
+    type: String // Truncated body of the last response
+  },
+  deliveredAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the delivery worker picking up due deliveries
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for a webhook's delivery log
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// TTL index: old delivery logs are removed automatically at their expiresAt
+// (set per delivery, so a changed retention applies without rebuilding the index)
+WebhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  restoreUser,
+  getEvents,
+  cancelEvent,
+  setEventPublished,
+  getReportedReviews,
+  setReviewStatus,
+  getAuditLogs,
+  getStats,
+  getJobs,
+  runJob
+} = require('../controllers/adminController');
+const { protect, adminOnly } = require('../middleware/auth');
+
+// All admin routes require an authenticated admin
+router.use(protect, adminOnly);
+
+// Platform statistics
+router.get('/stats', getStats);
+
+// User management
+router.get('/users', getUsers);
+router.put('/users/:id/role', updateUserRole);
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/reactivate', reactivateUser);
+router.put('/users/:id/restore', restoreUser);
+
+// Event moderation
+router.get('/events', getEvents);
+router.put('/events/:id/cancel', cancelEvent);
+router.put('/events/:id/publish', setEventPublished);
+
+// Review moderation
+router.get('/reviews/reported', getReportedReviews);
+router.put('/reviews/:id/status', setReviewStatus);
+
+// Audit log
+router.get('/audit-logs', getAuditLogs);
+
+// Background jobs
+router.get('/jobs', getJobs);
+router.post('/jobs/:name/run', runJob);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFeed,
+  getFeedUrl,
+  regenerateFeedUrl
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+// Public subscription feed (the token in the URL is the credential)
+router.get('/feed/:token', getFeed);
+
+// Protected routes
+router.get('/me', protect, getFeedUrl);
+router.post('/me/regenerate', protect, regenerateFeedUrl);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+// Mounted under /api/events/:id/comments
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  pinComment,
+  hideComment
+} = require('../controllers/commentController');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { commentPostLimiter, commentReadLimiter } = require('../middleware/rateLimit');
+
+// Public routes (rate limited after auth so signed-in users are counted per user)
+router.get('/', optionalAuth, commentReadLimiter, getComments);
+router.get('/:commentId/replies', optionalAuth, commentReadLimiter, getReplies);
+
+// Protected routes
+router.post('/', protect, requireVerifiedEmail, commentPostLimiter, createComment);
+router.put('/:commentId', protect, commentPostLimiter, updateComment);
+router.delete('/:commentId', protect, deleteComment);
+
+// Moderation (event owner and co-organizers)
+router.put('/:commentId/pin', protect, pinComment);
+router.put('/:commentId/hide', protect, hideComment);
+
+module.exports = router;
\ No newline at end of file
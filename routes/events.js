@@ -6,19 +6,71 @@ const {
   getEventById,
   updateEvent,
   deleteEvent,
-  getMyEvents
+  cancelEvent,
+  postponeEvent,
+  restoreEvent,
+  getMyEvents,
+  getTrash,
+  getEventAuditLog
 } = require('../controllers/eventController');
-const { protect } = require('../middleware/auth');
+const { getEventICS } = require('../controllers/calendarController');
+const { streamEvent } = require('../controllers/streamController');
+const {
+  getStaff,
+  inviteStaff,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateStaffRole,
+  removeStaff,
+  transferOwnership
+} = require('../controllers/staffController');
+const {
+  getInvites,
+  createInviteLink,
+  createEmailInvites,
+  revokeInvite
+} = require('../controllers/inviteController');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { upload } = require('../config/cloudinary');
+const commentRoutes = require('./comments');
+const reviewRoutes = require('./reviews');
 
 // Public routes
 router.get('/', getAllEvents);
-router.get('/:id', getEventById);
+router.get('/:id', optionalAuth, getEventById);
+router.get('/:id/ics', optionalAuth, getEventICS);
+router.get('/:id/stream', optionalAuth, streamEvent);
 
 // Protected routes
-router.post('/', protect, upload.single('image'), createEvent);
+router.post('/', protect, requireVerifiedEmail, upload.single('image'), createEvent);
 router.get('/my/events', protect, getMyEvents);
+router.get('/my/invitations', protect, getMyInvitations);
+router.get('/my/trash', protect, getTrash);
 router.put('/:id', protect, upload.single('image'), updateEvent);
 router.delete('/:id', protect, deleteEvent);
+router.post('/:id/cancel', protect, cancelEvent);
+router.post('/:id/postpone', protect, postponeEvent);
+router.post('/:id/restore', protect, restoreEvent);
+router.get('/:id/audit-log', protect, getEventAuditLog);
+
+// Event team (owner, co-organizers, check-in staff)
+router.get('/:id/staff', protect, getStaff);
+router.post('/:id/staff', protect, inviteStaff);
+router.post('/:id/staff/accept', protect, acceptInvitation);
+router.post('/:id/staff/decline', protect, declineInvitation);
+router.put('/:id/staff/:userId', protect, updateStaffRole);
+router.delete('/:id/staff/:userId', protect, removeStaff);
+router.post('/:id/transfer', protect, transferOwnership);
+
+// Discussion and Q&A
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/reviews', reviewRoutes);
+
+// Invites for private events
+router.get('/:id/invites', protect, getInvites);
+router.post('/:id/invites/link', protect, createInviteLink);
+router.post('/:id/invites/email', protect, createEmailInvites);
+router.delete('/:id/invites/:inviteId', protect, revokeInvite);
 
 module.exports = router;
\ No newline at end of file
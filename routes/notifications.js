@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+// All notification routes require authentication
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllAsRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+// Mounted under /api/events/:id/reviews
+const router = express.Router({ mergeParams: true });
+const {
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  respondToReview,
+  deleteResponse,
+  reportReview
+} = require('../controllers/reviewController');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { commentPostLimiter, commentReadLimiter } = require('../middleware/rateLimit');
+
+// Public routes
+router.get('/', optionalAuth, commentReadLimiter, getReviews);
+
+// Protected routes (attendees of the completed event)
+router.post('/', protect, requireVerifiedEmail, commentPostLimiter, createReview);
+router.put('/:reviewId', protect, commentPostLimiter, updateReview);
+router.delete('/:reviewId', protect, deleteReview);
+router.post('/:reviewId/report', protect, commentPostLimiter, reportReview);
+
+// Organizer responses (event owner and co-organizers)
+router.put('/:reviewId/response', protect, respondToReview);
+router.delete('/:reviewId/response', protect, deleteResponse);
+
+module.exports = router;
\ No newline at end of file
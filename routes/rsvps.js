@@ -5,15 +5,20 @@ const {
   cancelRSVP,
   getUserRSVPs,
   getEventAttendees,
-  checkRSVPStatus
+  checkRSVPStatus,
+  reconfirmRSVP,
+  getWaitlistPosition,
+  leaveWaitlist,
+  exportEventAttendees
 } = require('../controllers/rsvpController');
-const { protect } = require('../middleware/auth');
+const { getTicket, getTicketQR, checkIn } = require('../controllers/ticketController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 
 // All RSVP routes require authentication
 router.use(protect);
 
 // RSVP to an event (join)
-router.post('/event/:eventId', createRSVP);
+router.post('/event/:eventId', requireVerifiedEmail, createRSVP);
 
 // Cancel RSVP (leave event)
 router.delete('/event/:eventId', cancelRSVP);
@@ -24,7 +29,26 @@ router.get('/my-rsvps', getUserRSVPs);
 // Get event's attendees
 router.get('/event/:eventId/attendees', getEventAttendees);
 
+// Get ticket code / QR code for user's confirmed RSVP
+router.get('/event/:eventId/ticket', getTicket);
+router.get('/event/:eventId/ticket/qr', getTicketQR);
+
+// Check in an attendee by ticket code (organizer only)
+router.post('/event/:eventId/check-in', checkIn);
+
+// Export event's attendees as CSV or JSON (organizer only)
+router.get('/event/:eventId/attendees/export', exportEventAttendees);
+
 // Check if user has RSVP'd to specific event
 router.get('/event/:eventId/status', checkRSVPStatus);
 
+// Reconfirm attendance after the event was postponed
+router.post('/event/:eventId/reconfirm', reconfirmRSVP);
+
+// Get user's position on an event's waitlist
+router.get('/event/:eventId/waitlist', getWaitlistPosition);
+
+// Leave an event's waitlist
+router.delete('/event/:eventId/waitlist', leaveWaitlist);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSeries,
+  getSeries,
+  updateOccurrences,
+  cancelOccurrence
+} = require('../controllers/seriesController');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+
+// Public routes
+router.get('/:id', optionalAuth, getSeries);
+
+// Protected routes
+router.post('/', protect, requireVerifiedEmail, createSeries);
+router.put('/:id/occurrences/:eventId', protect, updateOccurrences);
+router.delete('/:id/occurrences/:eventId', protect, cancelOccurrence);
+
+module.exports = router;
\ No newline at end of file
@@ -3,6 +3,15 @@ const router = express.Router();
 const Event = require('../models/Event');
 const RSVP = require('../models/RSVP');
 const { protect } = require('../middleware/auth');
+const {
+  getUserProfile,
+  deleteAccount,
+  exportMyData,
+  getMyExports,
+  getMyExport,
+  downloadExport
+} = require('../controllers/userController');
+const { exportLimiter } = require('../middleware/rateLimit');
 
 // Get user dashboard data
 router.get('/dashboard', protect, async (req, res) => {
@@ -61,4 +70,18 @@ router.get('/dashboard', protect, async (req, res) => {
   }
 });
 
+// Delete own account (restorable during the grace period)
+router.delete('/me', protect, deleteAccount);
+
+// Personal data export (small accounts get the file, large ones a background export)
+router.get('/me/export', protect, exportLimiter, exportMyData);
+router.get('/me/exports', protect, getMyExports);
+router.get('/me/exports/:exportId', protect, getMyExport);
+
+// Signed download link of a ready export (works without login until it expires)
+router.get('/exports/:exportId/download', downloadExport);
+
+// Public profile with organizer rating
+router.get('/:id', getUserProfile);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  testWebhook,
+  getDeliveries,
+  redeliver
+} = require('../controllers/webhookController');
+const { protect } = require('../middleware/auth');
+
+// All webhook routes require authentication
+router.use(protect);
+
+router.get('/', getWebhooks);
+router.post('/', createWebhook);
+router.get('/:id', getWebhook);
+router.put('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.post('/:id/rotate-secret', rotateSecret);
+router.post('/:id/test', testWebhook);
+router.get('/:id/deliveries', getDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliver);
+
+module.exports = router;
\ No newline at end of file
@@ -4,6 +4,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/db');
+const scheduler = require('./jobs');
+const { checkMailConfig } = require('./utils/mailer');
+
+// Refuse to start with a mail setup that can't be used here
+checkMailConfig();
 
 // Initialize express
 const app = express();
@@ -54,14 +59,24 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Import Routes
 const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
+const seriesRoutes = require('./routes/series');
 const rsvpRoutes = require('./routes/rsvps');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const calendarRoutes = require('./routes/calendar');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
 
 // Mount Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/series', seriesRoutes);
 app.use('/api/rsvps', rsvpRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Health Check Route
 app.get('/api/health', (req, res) => {
@@ -81,8 +96,13 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       events: '/api/events',
+      series: '/api/series',
       rsvps: '/api/rsvps',
-      users: '/api/users'
+      users: '/api/users',
+      admin: '/api/admin',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
+      webhooks: '/api/webhooks'
     }
   });
 });
@@ -152,4 +172,9 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background jobs (every instance can run the scheduler - leases prevent double work)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduler.start();
+  }
 });
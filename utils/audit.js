@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { getClientInfo } = require('./session');
+
+/**
+ * Audit trail of security- and data-relevant actions
+ *
+ * Entries record who did what to which record, the changed fields and the
+ * client's IP and user agent. They are append-only (see models/AuditLog.js)
+ * and expire after AUDIT_LOG_RETENTION_DAYS.
+ */
+
+// Event fields whose changes are recorded
+const EVENT_AUDIT_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'endDate',
+  'timezone',
+  'location',
+  'venue',
+  'geo',
+  'capacity',
+  'image',
+  'category',
+  'tags',
+  'visibility',
+  'commentPolicy',
+  'status'
+];
+
+// Profile fields whose changes are recorded
+const PROFILE_AUDIT_FIELDS = ['name', 'bio', 'avatar'];
+
+// Compare values by their JSON form (Dates, ObjectIds and nested objects included)
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {object} before - Plain object before the change (e.g. doc.toObject())
+ * @param {object} after - Plain object after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {object[]} [{ field, before, after }] for changed fields only
+ */
+const diffFields = (before, after, fields) =>
+  fields
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+/**
+ * Write an audit entry for a request. Never throws - a failed audit write is
+ * logged but must not fail the request it describes.
+ * @param {object} req - Express request (actor defaults to req.user, client details are read from it)
+ * @param {object} entry - { action, actor, targetModel, target, event, changes, metadata }
+ * @returns {Promise<object|null>} The entry, or null if it couldn't be written
+ */
+const recordAudit = async (req, { action, actor, targetModel, target, event, changes, metadata }) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor !== undefined ? actor : req.user && req.user.id,
+      targetModel,
+      target,
+      event,
+      changes: changes && changes.length ? changes : undefined,
+      metadata,
+      ...getClientInfo(req)
+    });
+  } catch (error) {
+    console.error(`Audit Log Error (${action}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Record an event.updated entry for the audited fields that changed (nothing if none did)
+ * @param {object} req - Express request
+ * @param {object} before - Event before the change (document or plain object with all audited fields)
+ * @param {object} after - Event after the change
+ * @param {object} [metadata] - Extra details, e.g. { operation: 'postpone', reason }
+ * @returns {Promise<object|null>} The entry, or null if nothing changed
+ */
+const recordEventChanges = async (req, before, after, metadata) => {
+  const toPlain = (event) => (typeof event.toObject === 'function' ? event.toObject() : event);
+  const changes = diffFields(toPlain(before), toPlain(after), EVENT_AUDIT_FIELDS);
+
+  if (!changes.length) {
+    return null;
+  }
+
+  return recordAudit(req, {
+    action: 'event.updated',
+    targetModel: 'Event',
+    target: after._id,
+    event: after._id,
+    changes,
+    metadata
+  });
+};
+
+/**
+ * Build an audit log filter from query parameters
+ * @param {object} query - { actor, target, targetModel, event, action, from, to }
+ * @returns {object} { filter } or { error } with a message for a 400 response
+ */
+const buildAuditFilter = ({ actor, target, targetModel, event, action, from, to }) => {
+  const filter = {};
+
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      return { error: 'Actor must be a valid user ID' };
+    }
+    filter.actor = actor;
+  }
+
+  if (target) {
+    if (!mongoose.isValidObjectId(target)) {
+      return { error: 'Target must be a valid ID' };
+    }
+    filter.target = target;
+  }
+
+  if (event) {
+    if (!mongoose.isValidObjectId(event)) {
+      return { error: 'Event must be a valid event ID' };
+    }
+    filter.event = event;
+  }
+
+  if (targetModel) {
+    if (!AuditLog.AUDIT_TARGETS.includes(targetModel)) {
+      return { error: `Target type must be one of: ${AuditLog.AUDIT_TARGETS.join(', ')}` };
+    }
+    filter.targetModel = targetModel;
+  }
+
+  // action accepts a comma-separated list, e.g. rsvp.created,rsvp.cancelled
+  if (action) {
+    const actions = String(action).split(',').map(a => a.trim());
+
+    if (actions.some(a => !AuditLog.AUDIT_ACTIONS.includes(a))) {
+      return { error: `Action must be one or more of: ${AuditLog.AUDIT_ACTIONS.join(', ')}` };
+    }
+    filter.action = { $in: actions };
+  }
+
+  // Time range (inclusive)
+  const range = {};
+
+  for (const [param, op] of [[from, '$gte'], [to, '$lte']]) {
+    if (param) {
+      const date = new Date(param);
+
+      if (isNaN(date.getTime())) {
+        return { error: 'from and to must be valid dates' };
+      }
+      range[op] = date;
+    }
+  }
+
+  if (Object.keys(range).length) {
+    filter.createdAt = range;
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  EVENT_AUDIT_FIELDS,
+  PROFILE_AUDIT_FIELDS,
+  diffFields,
+  recordAudit,
+  recordEventChanges,
+  buildAuditFilter
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+/**
+ * Escape a single CSV field.
+ * Values that spreadsheet apps would run as formulas (=, +, -, @) are
+ * prefixed with a quote so exported user input can't execute.
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let field = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+};
+
+/**
+ * Build one CSV line (with trailing CRLF)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+const toCSVRow = (values) => values.map(escapeField).join(',') + '\r\n';
+
+module.exports = {
+  escapeField,
+  toCSVRow
+};
\ No newline at end of file
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const Notification = require('../models/Notification');
+const Comment = require('../models/Comment');
+const Review = require('../models/Review');
+const DataExport = require('../models/DataExport');
+const { toCSVRow } = require('./csv');
+
+/**
+ * Personal data exports
+ *
+ * Small accounts are exported in the request. Larger ones get a DataExport
+ * record that is generated in the background (right away, and by the
+ * data-export job for anything left behind) and written to EXPORT_DIR.
+ * Download links are signed with an HMAC of the export id and its expiry,
+ * so they work without an Authorization header until the export expires.
+ */
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'event-platform-exports');
+const LINK_TTL_MS = (parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Exports still "processing" after this long are picked up again (the worker died)
+const PROCESSING_LEASE_MS = 30 * 60 * 1000;
+
+// Accounts with more records than this are exported in the background
+const SYNC_RECORD_LIMIT = parseInt(process.env.EXPORT_SYNC_RECORD_LIMIT) || 1000;
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Number of records an export of the user would contain
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Record count (profile included)
+ */
+const countUserRecords = async (userId) => {
+  const counts = await Promise.all([
+    Event.countDocuments({ organizer: userId }).setOptions({ withDeleted: true }),
+    RSVP.countDocuments({ user: userId }),
+    Notification.countDocuments({ user: userId }),
+    Comment.countDocuments({ author: userId, status: { $ne: 'deleted' } }),
+    Review.countDocuments({ user: userId })
+  ]);
+
+  return 1 + counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Gather everything stored about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { exportedAt, profile, eventsOrganized, rsvps, notifications, comments, reviews }
+ */
+const collectUserData = async (userId) => {
+  const [profile, eventsOrganized, rsvps, notifications, comments, reviews] = await Promise.all([
+    User.findById(userId).select('-password').lean(),
+    Event.find({ organizer: userId })
+      .setOptions({ withDeleted: true })
+      .select('-attendees')
+      .sort('-createdAt')
+      .lean(),
+    RSVP.find({ user: userId })
+      .populate({ path: 'event', select: 'title date location status', options: { withDeleted: true } })
+      .sort('-createdAt')
+      .lean(),
+    Notification.find({ user: userId }).sort('-createdAt').lean(),
+    Comment.find({ author: userId, status: { $ne: 'deleted' } })
+      .populate({ path: 'event', select: 'title', options: { withDeleted: true } })
+      .sort('-createdAt')
+      .lean(),
+    Review.find({ user: userId })
+      .populate({ path: 'event', select: 'title date', options: { withDeleted: true } })
+      .sort('-createdAt')
+      .lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    eventsOrganized,
+    rsvps,
+    notifications,
+    comments,
+    reviews
+  };
+};
+
+// Flatten a record into [path, value] pairs (nested objects use dotted paths)
+const flatten = (value, prefix = '', pairs = []) => {
+  if (value instanceof mongoose.Types.ObjectId) {
+    pairs.push([prefix, value.toString()]);
+  } else if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object' || item instanceof mongoose.Types.ObjectId)) {
+      pairs.push([prefix, value.map(String).join('; ')]);
+    } else {
+      value.forEach((item, index) => flatten(item, `${prefix}.${index}`, pairs));
+    }
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, pairs));
+  } else {
+    pairs.push([prefix, value]);
+  }
+
+  return pairs;
+};
+
+/**
+ * Serialize collected data
+ * @param {object} data - Output of collectUserData
+ * @param {string} format - json, or csv with one row per field: section,recordId,field,value
+ * @returns {string} File contents
+ */
+const serializeExport = (data, format) => {
+  if (format !== 'csv') {
+    return JSON.stringify(data, null, 2);
+  }
+
+  const { exportedAt, ...sections } = data;
+  let csv = toCSVRow(['section', 'recordId', 'field', 'value']);
+  csv += toCSVRow(['export', '', 'exportedAt', exportedAt]);
+
+  Object.entries(sections).forEach(([section, records]) => {
+    [].concat(records || []).forEach(record => {
+      const { _id, ...fields } = record;
+
+      flatten(fields).forEach(([field, value]) => {
+        csv += toCSVRow([section, _id ? _id.toString() : '', field, value]);
+      });
+    });
+  });
+
+  return csv;
+};
+
+/**
+ * Suggested download file name
+ * @param {string} format - json or csv
+ * @param {Date} [date] - Export date
+ * @returns {string} File name
+ */
+const exportFileName = (format, date = new Date()) =>
+  `my-data-${date.toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'json'}`;
+
+/**
+ * Signature for a download link (valid until the export expires)
+ * @param {object} dataExport - DataExport document
+ * @returns {string} Hex signature
+ */
+const signDownload = (dataExport) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${dataExport._id}.${new Date(dataExport.expiresAt).getTime()}`)
+    .digest('hex');
+
+/**
+ * Check a download link signature (constant time)
+ * @param {object} dataExport - DataExport document
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} True if the signature matches
+ */
+const verifyDownload = (dataExport, signature) => {
+  if (!dataExport.expiresAt || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(dataExport));
+  const given = Buffer.from(signature);
+
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Claim a queued (or abandoned) export so no other worker builds it at the same time
+ * @param {object} [filter] - Extra conditions (e.g. a specific export)
+ * @returns {Promise<object|null>} Claimed export
+ */
+const claimExport = (filter = {}) => {
+  const now = new Date();
+
+  return DataExport.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', startedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MS) } }
+      ]
+    },
+    { status: 'processing', startedAt: now },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Build a claimed export and write it to EXPORT_DIR
+ * @param {object} dataExport - Claimed DataExport document
+ * @returns {Promise<object>} Updated export (ready or failed)
+ */
+const buildExport = async (dataExport) => {
+  try {
+    const data = await collectUserData(dataExport.user);
+    const contents = serializeExport(data, dataExport.format);
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.${dataExport.format}`);
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(filePath, contents);
+
+    dataExport.status = 'ready';
+    dataExport.filePath = filePath;
+    dataExport.size = Buffer.byteLength(contents);
+    dataExport.recordCount = 1 + ['eventsOrganized', 'rsvps', 'notifications', 'comments', 'reviews']
+      .reduce((sum, section) => sum + data[section].length, 0);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + LINK_TTL_MS);
+    dataExport.error = undefined;
+  } catch (error) {
+    console.error('Data Export Error:', error);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    dataExport.completedAt = new Date();
+  }
+
+  return dataExport.save();
+};
+
+/**
+ * Build an export right away (skipped if another worker has it)
+ * @param {string} exportId - DataExport ID
+ * @returns {Promise<object|null>} Updated export, or null if it wasn't claimable
+ */
+const buildExportNow = async (exportId) => {
+  const dataExport = await claimExport({ _id: exportId });
+  return dataExport ? buildExport(dataExport) : null;
+};
+
+/**
+ * Build queued exports and delete files whose link expired (used by the data-export job)
+ * @param {number} [limit] - Maximum exports built per run
+ * @returns {Promise<object>} Counts per outcome
+ */
+const processExports = async (limit = 10) => {
+  const result = { ready: 0, failed: 0, expired: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const dataExport = await claimExport();
+    if (!dataExport) {
+      break;
+    }
+
+    const updated = await buildExport(dataExport);
+    result[updated.status] += 1;
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+filePath');
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath) {
+      await fs.rm(dataExport.filePath, { force: true });
+    }
+    await DataExport.updateOne({ _id: dataExport._id }, { status: 'expired', $unset: { filePath: 1 } });
+    result.expired += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Delete all export files and records of a user (account purge)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const removeUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select('+filePath');
+
+  for (const dataExport of exports) {
+    if (dataExport.filePath) {
+      await fs.rm(dataExport.filePath, { force: true });
+    }
+  }
+
+  await DataExport.deleteMany({ user: userId });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  SYNC_RECORD_LIMIT,
+  countUserRecords,
+  collectUserData,
+  serializeExport,
+  exportFileName,
+  signDownload,
+  verifyDownload,
+  buildExportNow,
+  processExports,
+  removeUserExports
+};
\ No newline at end of file
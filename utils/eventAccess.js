@@ -0,0 +1,54 @@
+const RSVP = require('../models/RSVP');
+const EventInvite = require('../models/EventInvite');
+
+/**
+ * Visibility checks for a single event
+ *
+ * Public and unlisted events can be opened by anyone with the link. Private
+ * events are only visible to admins, the event team, users who already have
+ * an RSVP, and users holding a valid invite - either an invite link token or
+ * a per-email invite matching their verified email address.
+ */
+
+/**
+ * Work out whether a user may see an event
+ * @param {object} event - Event document (needs organizer, staff, visibility)
+ * @param {object|null} user - Authenticated user, if any
+ * @param {string} [inviteToken] - Invite token from a link
+ * @returns {Promise<object>} { allowed, invite } - invite is set when access comes from an invite
+ */
+const resolveEventAccess = async (event, user, inviteToken) => {
+  if (event.visibility !== 'private') {
+    return { allowed: true, invite: null };
+  }
+
+  if (user && (user.role === 'admin' || event.can(user.id, 'view'))) {
+    return { allowed: true, invite: null };
+  }
+
+  const tokenInvite = await EventInvite.findUsableByToken(event._id, inviteToken);
+  if (tokenInvite) {
+    return { allowed: true, invite: tokenInvite };
+  }
+
+  if (!user) {
+    return { allowed: false, invite: null };
+  }
+
+  // Anyone admitted before keeps access (e.g. to re-join after cancelling)
+  const rsvp = await RSVP.exists({ user: user.id, event: event._id });
+  if (rsvp) {
+    return { allowed: true, invite: null };
+  }
+
+  // Per-email invites only match verified addresses
+  const emailInvite = user.isEmailVerified
+    ? await EventInvite.findUsableByEmail(event._id, user.email)
+    : null;
+
+  return { allowed: !!emailInvite, invite: emailInvite };
+};
+
+module.exports = {
+  resolveEventAccess
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const User = require('../models/User');
+const { notifyAttendees } = require('./notifications');
+const { releaseSeat } = require('./waitlist');
+const { dispatchWebhookEvent, eventWebhookData, rsvpWebhookData } = require('./webhooks');
+const { publishAttendance, publishEventUpdate, publishStatus } = require('./liveEvents');
+
+/**
+ * Cancelling and postponing events, and releasing attendees' spots
+ *
+ * Events keep their RSVPs. Attendees hear about it in-app and by email,
+ * open event pages get a live update and the owner's webhooks fire.
+ */
+
+// Default time attendees get to reconfirm after a postponement
+const RECONFIRM_WINDOW_MS = (parseInt(process.env.RECONFIRM_WINDOW_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+/**
+ * Cancel an event. Active RSVPs are marked cancelled (kept for the record),
+ * the attendee count is left as it stood, and createRSVP refuses new RSVPs.
+ * @param {object} filter - Event filter, e.g. { _id } - cancelled events never match
+ * @param {object} options - { reason, cancelledBy } cancelledBy is left out of the notifications
+ * @returns {Promise<object|null>} The cancelled event, or null if no event matched
+ */
+const cancelEvent = async (filter, { reason, cancelledBy }) => {
+  // Step 1: ATOMIC UPDATE - Only one request can cancel the event
+  const event = await Event.findOneAndUpdate(
+    { ...filter, status: { $ne: 'cancelled' } },
+    {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      $unset: { reconfirmBy: 1 }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  // Step 2: Tell attendees while their RSVPs are still active
+  await notifyAttendees(event._id, {
+    type: 'event_cancelled',
+    title: `${event.title} has been cancelled`,
+    message: event.cancellationReason || 'The organizer cancelled this event.',
+    data: { eventTitle: event.title, date: event.date, reason: event.cancellationReason || null }
+  }, { exclude: cancelledBy, email: true });
+
+  // Step 3: Mark RSVPs cancelled by the event
+  await RSVP.updateMany(
+    { event: event._id, status: { $in: ['confirmed', 'waitlist'] } },
+    {
+      status: 'cancelled',
+      cancellationDate: new Date(),
+      cancellationReason: 'event_cancelled',
+      $unset: { reconfirmBy: 1 }
+    }
+  );
+
+  await publishStatus(event);
+  await dispatchWebhookEvent(event.organizer, 'event.cancelled', {
+    event: eventWebhookData(event),
+    reason: event.cancellationReason || null,
+    cancelledBy: cancelledBy ? String(cancelledBy) : null
+  });
+
+  return event;
+};
+
+/**
+ * Move an upcoming or ongoing event to a new date. Confirmed attendees can be
+ * asked to reconfirm - spots not reconfirmed by the deadline are released by
+ * the rsvp-reconfirmation job (see jobs/reconfirmationJob.js).
+ * @param {object} event - Event document (before the change)
+ * @param {object} options - { date, endDate, reason, requireReconfirmation, reconfirmBy, postponedBy }
+ * @returns {Promise<object|null>} The postponed event, or null if it was cancelled or completed meanwhile
+ */
+const postponeEvent = async (event, { date, endDate, reason, requireReconfirmation = true, reconfirmBy, postponedBy }) => {
+  const now = new Date();
+
+  // Give attendees the reconfirmation window, but no later than the new start
+  const deadline = requireReconfirmation
+    ? reconfirmBy || new Date(Math.min(now.getTime() + RECONFIRM_WINDOW_MS, date.getTime()))
+    : null;
+
+  // Step 1: ATOMIC UPDATE - Move the event unless it was cancelled or completed meanwhile
+  const postponed = await Event.findOneAndUpdate(
+    { _id: event._id, status: { $in: ['upcoming', 'ongoing'] } },
+    {
+      date,
+      endDate,
+      status: 'upcoming',
+      postponedAt: now,
+      postponementReason: reason,
+      originalDate: event.originalDate || event.date,
+      ...(deadline ? { reconfirmBy: deadline } : { $unset: { reconfirmBy: 1 } })
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!postponed) {
+    return null;
+  }
+
+  // Step 2: Ask confirmed attendees to reconfirm
+  if (deadline) {
+    await RSVP.updateMany(
+      { event: event._id, status: 'confirmed' },
+      { reconfirmBy: deadline, $unset: { reconfirmedAt: 1 } }
+    );
+  }
+
+  // Step 3: Tell attendees, open event pages and the owner's webhooks
+  const newDate = postponed.date.toISOString();
+
+  await notifyAttendees(postponed._id, {
+    type: 'event_postponed',
+    title: `${postponed.title} has been postponed`,
+    message: [
+      `New date: ${newDate}.`,
+      reason,
+      deadline && `Please reconfirm your spot before ${deadline.toISOString()} or it will be released.`
+    ].filter(Boolean).join(' '),
+    data: {
+      eventTitle: postponed.title,
+      previousDate: event.date,
+      date: postponed.date,
+      reconfirmBy: deadline
+    }
+  }, { exclude: postponedBy, email: true });
+
+  if (event.status !== postponed.status) {
+    await publishStatus(postponed);
+  }
+  await publishEventUpdate(postponed._id, 'postponed', {
+    date: postponed.date,
+    endDate: postponed.endDate,
+    reason: reason || null,
+    reconfirmBy: deadline
+  });
+
+  await dispatchWebhookEvent(postponed.organizer, 'event.postponed', {
+    event: eventWebhookData(postponed),
+    previousDate: event.date,
+    reason: reason || null,
+    reconfirmBy: deadline,
+    postponedBy: postponedBy ? String(postponedBy) : null
+  });
+
+  return postponed;
+};
+
+/**
+ * Cancel an attendee's confirmed or waitlisted RSVP on their behalf - the same
+ * steps as the attendee cancelling: the seat is freed and offered to the waitlist.
+ * @param {object} rsvp - RSVP as read by the caller (needs _id, event, user and status)
+ * @param {object} options - { cancellationReason, filter } filter adds conditions that must still hold
+ * @returns {Promise<object|null>} The cancelled RSVP, or null if it changed in the meantime
+ */
+const releaseRSVP = async (rsvp, { cancellationReason, filter = {} }) => {
+  // Step 1: ATOMIC UPDATE - Skip the RSVP if it changed since it was read
+  const cancelled = await RSVP.findOneAndUpdate(
+    { ...filter, _id: rsvp._id, status: rsvp.status },
+    {
+      status: 'cancelled',
+      cancellationDate: new Date(),
+      cancellationReason,
+      $unset: { reconfirmBy: 1 }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return null;
+  }
+
+  // Step 2: A confirmed seat goes to the oldest waitlisted user, or is freed (see utils/waitlist.js)
+  const wasConfirmed = rsvp.status === 'confirmed';
+  if (wasConfirmed) {
+    await releaseSeat(rsvp.event, rsvp.user);
+  }
+
+  const event = await Event.findById(rsvp.event).select('title organizer').setOptions({ withDeleted: true });
+
+  if (!event) {
+    return cancelled;
+  }
+
+  const user = await User.findById(rsvp.user).select('name email');
+  if (user) {
+    await dispatchWebhookEvent(event.organizer, 'rsvp.cancelled', rsvpWebhookData(cancelled, event, user));
+  }
+
+  if (wasConfirmed) {
+    await publishAttendance(event._id);
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  cancelEvent,
+  postponeEvent,
+  releaseRSVP
+};
\ No newline at end of file
@@ -1,11 +1,13 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT Token
+ * Generate JWT Token (short-lived access token)
  * @param {string} id - User ID
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {string} JWT Token
  */
-const generateToken = (id) => {
+const generateToken = (id, sessionId) => {
   if (!id) {
     throw new Error('User ID is required to generate token');
   }
@@ -15,10 +17,10 @@ const generateToken = (id) => {
   }
 
   return jwt.sign(
-    { id }, // Payload
+    sessionId ? { id, sid: sessionId } : { id }, // Payload
     process.env.JWT_SECRET, // Secret key
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d', // Token expiration
+      expiresIn: process.env.JWT_EXPIRE || '15m', // Token expiration
       issuer: 'event-platform', // Optional: Token issuer
       audience: 'event-platform-users' // Optional: Token audience
     }
@@ -62,27 +64,55 @@ const decodeToken = (token) => {
 };
 
 /**
- * Generate Refresh Token (Optional - for future enhancement)
+ * Generate Refresh Token
+ * Each token carries a random jti so that every rotation yields a distinct
+ * value whose hash can be stored on the session.
  * @param {string} id - User ID
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} Refresh Token
  */
-const generateRefreshToken = (id) => {
+const generateRefreshToken = (id, sessionId) => {
   if (!id) {
     throw new Error('User ID is required to generate refresh token');
   }
 
+  if (!sessionId) {
+    throw new Error('Session ID is required to generate refresh token');
+  }
+
   return jwt.sign(
-    { id, type: 'refresh' },
+    { id, sid: sessionId, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     {
-      expiresIn: '30d' // Refresh tokens last longer
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d', // Refresh tokens last longer
+      jwtid: crypto.randomBytes(16).toString('hex')
     }
   );
 };
 
+/**
+ * Verify Refresh Token
+ * @param {string} token - Refresh Token
+ * @returns {object} Decoded token payload
+ */
+const verifyRefreshToken = (token) => {
+  if (!token) {
+    throw new Error('Refresh token is required');
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return decoded;
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   decodeToken,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Geo helpers for venue coordinates (GeoJSON stores [longitude, latitude])
+ */
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Parse a "lat,lng" string or a { lat, lng } object
+ * @param {string|object} value - Coordinates
+ * @returns {object|null} { lat, lng } or null if invalid
+ */
+const parseLatLng = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const [lat, lng] = typeof value === 'string'
+    ? value.split(',').map(part => parseFloat(part))
+    : [parseFloat(value.lat), parseFloat(value.lng)];
+
+  return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Build a GeoJSON Point
+ * @param {object} coords - { lat, lng }
+ * @returns {object} GeoJSON Point
+ */
+const toPoint = ({ lat, lng }) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box into a GeoJSON Polygon
+ * @param {string} value - Bounding box
+ * @returns {object|null} GeoJSON Polygon or null if invalid
+ */
+const parseBoundingBox = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = value.split(',').map(part => parseFloat(part));
+
+  if (![minLng, maxLng].every(isLongitude) || ![minLat, maxLat].every(isLatitude) ||
+      minLng >= maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+module.exports = {
+  isLatitude,
+  isLongitude,
+  parseLatLng,
+  toPoint,
+  parseBoundingBox
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * iCalendar (RFC 5545) serialization for events
+ */
+
+const PRODID = '-//Event Platform//Event Platform API//EN';
+
+/**
+ * Format a date as a UTC iCalendar DATE-TIME (e.g. 20250101T180000Z)
+ * @param {Date} date - Date
+ * @returns {string} iCalendar DATE-TIME
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // Leading space counts on continuations
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build the VEVENT lines for an event
+ * @param {object} event - Event document (organizer may be populated)
+ * @param {object} [options] - { url } link back to the event
+ * @returns {string[]} Content lines
+ */
+const buildVEvent = (event, options = {}) => {
+  const start = new Date(event.date);
+  const end = new Date(event.endsAt);
+  const organizer = event.organizer && event.organizer.email ? event.organizer : null;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@event-platform`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status === 'cancelled' || event.deletedAt ? 'CANCELLED' : 'CONFIRMED'}`, // Trashed events count as cancelled
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`
+  ];
+
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+
+  if (organizer) {
+    // Parameter values are quoted rather than escaped, and may not contain quotes
+    lines.push(`ORGANIZER;CN="${String(organizer.name || '').replace(/"/g, '')}":mailto:${organizer.email}`);
+  }
+
+  if (options.url) {
+    lines.push(`URL:${options.url}`);
+  }
+
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {object[]} events - Event documents
+ * @param {object} [options] - { name, eventUrl(event) }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, options = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  events.forEach(event => {
+    lines.push(...buildVEvent(event, {
+      url: options.eventUrl ? options.eventUrl(event) : undefined
+    }));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar
+};
\ No newline at end of file
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const { getPubSub } = require('./pubsub');
+
+/**
+ * Live updates for event pages (sent over Server-Sent Events)
+ *
+ * Controllers publish changes to the "event:<id>" channel. Each process
+ * subscribes to a channel while at least one client is streaming that event,
+ * and keeps the last few messages so a reconnecting client that sends
+ * Last-Event-ID gets what it missed. Messages carry full state
+ * (e.g. the current attendee count), never deltas.
+ */
+
+// Messages kept per event for Last-Event-ID replay
+const REPLAY_BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER) || 50;
+
+// Distinguishes message ids published by different processes
+const processTag = crypto.randomBytes(3).toString('hex');
+let sequence = 0;
+
+// eventId -> { listeners: Set, buffer: [], unsubscribe }
+const channels = new Map();
+
+const channelName = (eventId) => `event:${eventId}`;
+
+/**
+ * Attendance figures shown on event pages
+ * @param {object} event - Event with capacity and currentAttendees
+ * @returns {object} Attendance payload
+ */
+const attendancePayload = (event) => ({
+  currentAttendees: event.currentAttendees,
+  capacity: event.capacity,
+  availableSpots: Math.max(event.capacity - event.currentAttendees, 0),
+  isFull: event.currentAttendees >= event.capacity
+});
+
+/**
+ * Publish an update for an event. Never throws - live updates are best effort.
+ * @param {string} eventId - Event ID
+ * @param {string} type - SSE event name: attendance, status, cancelled or postponed
+ * @param {object} data - Payload
+ * @returns {Promise<void>}
+ */
+const publishEventUpdate = async (eventId, type, data) => {
+  try {
+    sequence += 1;
+    const message = {
+      id: `${Date.now().toString(36)}-${processTag}-${sequence.toString(36)}`,
+      type,
+      data
+    };
+
+    await getPubSub().publish(channelName(eventId), message);
+  } catch (error) {
+    console.error(`Live Update Error (${type}):`, error);
+  }
+};
+
+/**
+ * Publish the current attendee count of an event (read fresh from the database)
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+const publishAttendance = async (eventId) => {
+  try {
+    const event = await Event.findById(eventId).select('capacity currentAttendees');
+    if (event) {
+      await publishEventUpdate(eventId, 'attendance', attendancePayload(event));
+    }
+  } catch (error) {
+    console.error('Live Attendance Error:', error);
+  }
+};
+
+/**
+ * Publish a status change (cancellations also send a cancellation notice)
+ * @param {object} event - Event document
+ * @returns {Promise<void>}
+ */
+const publishStatus = async (event) => {
+  await publishEventUpdate(event._id, 'status', { status: event.status });
+
+  if (event.status === 'cancelled') {
+    await publishEventUpdate(event._id, 'cancelled', {
+      reason: event.cancellationReason || null,
+      cancelledAt: event.cancelledAt || new Date()
+    });
+  }
+};
+
+/**
+ * Start receiving updates for an event
+ * @param {string} eventId - Event ID
+ * @param {Function} listener - Called with each { id, type, data } message
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToEvent = (eventId, listener) => {
+  const key = String(eventId);
+  let channel = channels.get(key);
+
+  if (!channel) {
+    channel = { listeners: new Set(), buffer: [], unsubscribe: null };
+    channels.set(key, channel);
+
+    const current = channel;
+    current.unsubscribe = getPubSub().subscribe(channelName(key), (message) => {
+      current.buffer.push(message);
+      if (current.buffer.length > REPLAY_BUFFER_SIZE) {
+        current.buffer.shift();
+      }
+      current.listeners.forEach(fn => fn(message));
+    });
+  }
+
+  channel.listeners.add(listener);
+
+  return () => {
+    channel.listeners.delete(listener);
+
+    // Last client gone - stop listening to this event
+    if (channel.listeners.size === 0 && channels.get(key) === channel) {
+      channel.unsubscribe();
+      channels.delete(key);
+    }
+  };
+};
+
+/**
+ * Messages published after a given id, if it is still buffered
+ * @param {string} eventId - Event ID
+ * @param {string} lastEventId - Last id the client received
+ * @returns {object[]|null} Missed messages, or null if the id is unknown (client needs a fresh snapshot)
+ */
+const getMissedMessages = (eventId, lastEventId) => {
+  const channel = channels.get(String(eventId));
+  const index = channel && lastEventId ? channel.buffer.findIndex(message => message.id === lastEventId) : -1;
+
+  return index === -1 ? null : channel.buffer.slice(index + 1);
+};
+
+module.exports = {
+  attendancePayload,
+  publishEventUpdate,
+  publishAttendance,
+  publishStatus,
+  subscribeToEvent,
+  getMissedMessages
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Mail transports
+ *
+ * Every transport is an object with an async send(message) method, where
+ * message is { to, subject, text, html }. Pick one with MAIL_DRIVER
+ * (default: console, which is refused in production because it prints
+ * reset links to the logs). Additional drivers (SMTP, an HTTP API, ...) can be
+ * added with registerTransport without touching the controllers.
+ */
+const transports = {
+  // Print emails to stdout - handy for local development
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Email:', JSON.stringify(message, null, 2));
+    }
+  }),
+
+  // Write each email to its own JSON file in MAIL_FILE_DIR
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'event-platform-mail');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register (or replace) a mail transport driver
+ * @param {string} name - Driver name used in MAIL_DRIVER
+ * @param {Function} factory - Returns an object with an async send(message) method
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Check the MAIL_DRIVER setting - call at startup so a bad configuration
+ * stops the server instead of failing on the first email
+ * @returns {string} Driver name
+ * @throws {Error} If the driver is unknown, or is the console driver in production
+ */
+const checkMailConfig = () => {
+  const driver = process.env.MAIL_DRIVER || 'console';
+
+  if (!transports[driver]) {
+    throw new Error(`Unknown mail driver: ${driver}`);
+  }
+
+  if (driver === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('The console mail driver cannot be used in production - set MAIL_DRIVER');
+  }
+
+  return driver;
+};
+
+/**
+ * Get the transport selected by MAIL_DRIVER
+ * @returns {object} Transport instance
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = transports[checkMailConfig()]();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Email recipient and subject are required');
+  }
+
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'Event Platform <no-reply@event-platform.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  checkMailConfig,
+  registerTransport,
+  sendMail
+};
\ No newline at end of file
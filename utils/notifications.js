@@ -0,0 +1,115 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const RSVP = require('../models/RSVP');
+const { sendMail } = require('./mailer');
+
+/**
+ * Create in-app notifications (optionally emailed as well)
+ *
+ * Recipients who turned the notification type off in their preferences are
+ * skipped. Errors are logged rather than thrown, so a failed notification
+ * never fails the request that triggered it.
+ */
+
+/**
+ * Notify a list of users
+ * @param {Array} userIds - Recipient user IDs
+ * @param {object} notification - { type, title, message, event, data }
+ * @param {object} [options] - { email } also send the notification by email
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyUsers = async (userIds, { type, title, message, event, data }, { email = false } = {}) => {
+  try {
+    const ids = [...new Set(userIds.filter(Boolean).map(String))];
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    // Users without saved preferences get every type; deleted accounts get nothing
+    const recipients = await User.find({
+      _id: { $in: ids },
+      status: { $ne: 'deleted' },
+      [`notificationPreferences.${type}`]: { $ne: false }
+    }).select('_id email');
+
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    await Notification.insertMany(recipients.map(recipient => ({
+      user: recipient._id,
+      type,
+      title,
+      message,
+      event,
+      data
+    })));
+
+    if (email) {
+      for (const recipient of recipients) {
+        try {
+          await sendMail({ to: recipient.email, subject: title, text: message || title });
+        } catch (error) {
+          console.error(`Notification Email Error (${type}):`, error);
+        }
+      }
+    }
+
+    return recipients.length;
+  } catch (error) {
+    console.error(`Notification Error (${type}):`, error);
+    return 0;
+  }
+};
+
+/**
+ * Notify everyone attending or waitlisted for an event
+ * @param {string} eventId - Event ID
+ * @param {object} notification - { type, title, message, data }
+ * @param {object} [options] - { exclude, email } user ID to leave out (usually whoever made the change), also email
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyAttendees = async (eventId, notification, { exclude, email } = {}) => {
+  try {
+    const userIds = await RSVP.distinct('user', {
+      event: eventId,
+      status: { $in: ['confirmed', 'waitlist'] }
+    });
+
+    const recipients = userIds.filter(userId => !exclude || String(userId) !== String(exclude));
+
+    return await notifyUsers(recipients, { ...notification, event: eventId }, { email });
+  } catch (error) {
+    console.error(`Notification Error (${notification.type}):`, error);
+    return 0;
+  }
+};
+
+/**
+ * List the attendee-facing changes between two versions of an event
+ * @param {object} previous - { date, location, status } before the update
+ * @param {object} event - Updated event
+ * @returns {string[]} Human readable changes (empty if nothing relevant changed)
+ */
+const describeEventChanges = (previous, event) => {
+  const changes = [];
+
+  if (new Date(previous.date).getTime() !== new Date(event.date).getTime()) {
+    changes.push(`Date moved to ${new Date(event.date).toISOString()}`);
+  }
+  if (previous.location !== event.location) {
+    changes.push(`Location changed to ${event.location}`);
+  }
+  if (previous.status !== event.status && event.status !== 'cancelled') {
+    changes.push(`Status changed to ${event.status}`);
+  }
+
+  return changes;
+};
+
+module.exports = {
+  notifyUsers,
+  notifyAttendees,
+  describeEventChanges
+};
\ No newline at end of file
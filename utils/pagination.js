@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sorting and cursor pagination for list endpoints
+ *
+ * Sorts are limited to a whitelist of fields and always get _id as a
+ * tiebreaker, so ordering is stable. Cursors are opaque base64url tokens
+ * holding the sort field's value and the _id of the boundary document:
+ * - after=<nextCursor> continues forward from the last item of a page
+ * - before=<prevCursor> goes back from the first item of a page
+ * Unlike skip/limit, pages stay consistent while documents are inserted.
+ * Documents missing the sort field (e.g. events without an endDate) sort
+ * before all others in ascending order, as MongoDB sorts them.
+ */
+
+/**
+ * Parse a sort string like "-date" against a whitelist
+ * @param {string} sort - Field name, optionally prefixed with "-" for descending
+ * @param {string[]} allowedFields - Sortable fields
+ * @returns {object|null} { field, direction } or null if not allowed
+ */
+const parseSort = (sort, allowedFields) => {
+  if (typeof sort !== 'string') {
+    return null;
+  }
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+
+  return allowedFields.includes(field) ? { field, direction } : null;
+};
+
+/**
+ * Mongo sort spec with a stable _id tiebreaker
+ * @param {object} sort - { field, direction }
+ * @param {boolean} [reverse] - Flip the direction (used for "before" pages)
+ * @returns {object} Sort spec
+ */
+const toSortSpec = ({ field, direction }, reverse = false) => {
+  const dir = reverse ? -direction : direction;
+  return { [field]: dir, _id: dir };
+};
+
+/**
+ * Read a (possibly nested) field from a document
+ * @param {object} doc - Document
+ * @param {string} path - Dotted path
+ * @returns {*} Value
+ */
+const getValue = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * Encode a cursor pointing at a document
+ * @param {object} doc - Boundary document
+ * @param {object} sort - { field, direction }
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (doc, { field }) => {
+  const value = getValue(doc, field) ?? null;
+  const payload = {
+    f: field,
+    t: value instanceof Date ? 'date' : value === null ? 'null' : typeof value,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(doc._id)
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} token - Cursor
+ * @param {object} sort - { field, direction } the cursor must belong to
+ * @returns {object|null} { value, id } or null if malformed / for another sort
+ */
+const decodeCursor = (token, { field }) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    if (payload.f !== field || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+
+    const value = payload.t === 'date' ? new Date(payload.v) : payload.t === 'null' ? null : payload.v;
+    if (value === undefined) {
+      return null;
+    }
+
+    if (value instanceof Date && isNaN(value.getTime())) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Prepare a cursor page: extra filter and sort spec
+ * @param {object} sort - { field, direction }
+ * @param {object} params - { after, before } cursors from the query string
+ * @returns {object|null} { filter, sortSpec, backwards } or null if a cursor is invalid
+ */
+const prepareCursorPage = (sort, { after, before }) => {
+  const token = after || before;
+  const backwards = !after && !!before;
+
+  if (!token) {
+    return { filter: {}, sortSpec: toSortSpec(sort), backwards: false };
+  }
+
+  const cursor = decodeCursor(token, sort);
+  if (!cursor) {
+    return null;
+  }
+
+  // Walking forward in ascending order means "greater than" the cursor
+  const op = (sort.direction === 1) !== backwards ? '$gt' : '$lt';
+  const sameValue = { [sort.field]: cursor.value, _id: { [op]: cursor.id } };
+
+  // Missing values sort lowest, but $gt/$lt never match them - handle them on their own
+  let beyondValue;
+  if (cursor.value === null) {
+    beyondValue = op === '$gt' ? [{ [sort.field]: { $ne: null } }] : [];
+  } else {
+    beyondValue = [{ [sort.field]: { [op]: cursor.value } }];
+    if (op === '$lt') {
+      beyondValue.push({ [sort.field]: null });
+    }
+  }
+
+  return {
+    filter: {
+      $or: [...beyondValue, sameValue]
+    },
+    sortSpec: toSortSpec(sort, backwards),
+    backwards
+  };
+};
+
+/**
+ * Turn the (limit + 1) documents fetched for a page into the response shape
+ * @param {object[]} docs - Documents fetched with limit + 1
+ * @param {object} options - { sort, limit, backwards, hasCursor }
+ * @returns {object} { items, nextCursor, prevCursor, hasMore }
+ */
+const buildCursorPage = (docs, { sort, limit, backwards, hasCursor }) => {
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+
+  // "before" pages were fetched in reverse - put them back in display order
+  if (backwards) {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    hasMore,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, sort) : null,
+    prevCursor: first && (backwards ? hasMore : hasCursor) ? encodeCursor(first, sort) : null
+  };
+};
+
+/**
+ * Fetch one cursor page
+ * @param {Function} find - (filter) => Mongoose query (add populate/select here)
+ * @param {object} filter - Base filter
+ * @param {object} options - { sort, limit, after, before }
+ * @returns {Promise<object|null>} Page from buildCursorPage, or null if a cursor is invalid
+ */
+const findCursorPage = async (find, filter, { sort, limit, after, before }) => {
+  const page = prepareCursorPage(sort, { after, before });
+
+  if (!page) {
+    return null;
+  }
+
+  const docs = await find({ ...filter, $and: [...(filter.$and || []), page.filter] })
+    .sort(page.sortSpec)
+    .limit(limit + 1);
+
+  return buildCursorPage(docs, {
+    sort,
+    limit,
+    backwards: page.backwards,
+    hasCursor: !!(after || before)
+  });
+};
+
+/**
+ * Parse a page size, clamped to 1..max
+ * @param {*} limit - Requested limit
+ * @param {number} fallback - Default limit
+ * @param {number} [max] - Maximum limit
+ * @returns {number} Page size
+ */
+const parseLimit = (limit, fallback, max = 100) => {
+  const value = parseInt(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+};
+
+module.exports = {
+  parseSort,
+  toSortSpec,
+  encodeCursor,
+  decodeCursor,
+  prepareCursorPage,
+  buildCursorPage,
+  findCursorPage,
+  parseLimit
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+/**
+ * Publish/subscribe drivers for live updates
+ *
+ * Every driver is an object with:
+ * - publish(channel, message): Promise - message is any JSON-serializable value
+ * - subscribe(channel, handler): Function - returns an unsubscribe function
+ *
+ * Pick one with PUBSUB_DRIVER (default: memory). The memory driver only
+ * reaches clients connected to the same process; run several processes with
+ * the mongo driver or register another one (Redis, NATS, ...) with
+ * registerPubSub without touching the controllers.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+const drivers = {
+  // Single process: deliver through a local EventEmitter
+  memory: () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    return {
+      publish: async (channel, message) => {
+        emitter.emit(channel, message);
+      },
+      subscribe: (channel, handler) => {
+        emitter.on(channel, handler);
+        return () => emitter.off(channel, handler);
+      }
+    };
+  },
+
+  // Several processes: messages go through a capped collection that every
+  // process follows with a tailable cursor (works without a replica set)
+  mongo: () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    const collectionName = process.env.PUBSUB_COLLECTION || 'pubsub_messages';
+    let collectionPromise = null;
+    let tailing = false;
+
+    const getCollection = () => {
+      if (!collectionPromise) {
+        collectionPromise = (async () => {
+          await mongoose.connection.asPromise();
+          const db = mongoose.connection.db;
+
+          try {
+            await db.createCollection(collectionName, { capped: true, size: 5 * 1024 * 1024, max: 10000 });
+          } catch (error) {
+            // Another process created it first
+            if (error.codeName !== 'NamespaceExists') {
+              throw error;
+            }
+          }
+
+          return db.collection(collectionName);
+        })().catch(error => {
+          collectionPromise = null;
+          throw error;
+        });
+      }
+      return collectionPromise;
+    };
+
+    // Follow the collection for the lifetime of the process. Each message
+    // carries full state, so after a reconnect we simply continue from now.
+    const tail = async () => {
+      let since = new Date();
+
+      for (;;) {
+        try {
+          const collection = await getCollection();
+          const cursor = collection.find(
+            { at: { $gt: since } },
+            { tailable: true, awaitData: true }
+          );
+
+          for await (const doc of cursor) {
+            since = doc.at;
+            emitter.emit(doc.channel, doc.message);
+          }
+        } catch (error) {
+          console.error('PubSub Tail Error:', error.message);
+        }
+
+        // Cursor ended (empty collection, lost connection, ...) - start again shortly
+        await sleep(1000);
+      }
+    };
+
+    return {
+      publish: async (channel, message) => {
+        const collection = await getCollection();
+        await collection.insertOne({ channel, message, at: new Date() });
+      },
+      subscribe: (channel, handler) => {
+        if (!tailing) {
+          tailing = true;
+          tail();
+        }
+
+        emitter.on(channel, handler);
+        return () => emitter.off(channel, handler);
+      }
+    };
+  }
+};
+
+let activePubSub = null;
+
+/**
+ * Register (or replace) a pub/sub driver
+ * @param {string} name - Driver name used in PUBSUB_DRIVER
+ * @param {Function} factory - Returns an object with publish and subscribe methods
+ */
+const registerPubSub = (name, factory) => {
+  drivers[name] = factory;
+  activePubSub = null;
+};
+
+/**
+ * Get the driver selected by PUBSUB_DRIVER
+ * @returns {object} Pub/sub instance
+ */
+const getPubSub = () => {
+  if (!activePubSub) {
+    const driver = process.env.PUBSUB_DRIVER || 'memory';
+
+    if (!drivers[driver]) {
+      throw new Error(`Unknown pub/sub driver: ${driver}`);
+    }
+
+    activePubSub = drivers[driver]();
+  }
+
+  return activePubSub;
+};
+
+module.exports = {
+  registerPubSub,
+  getPubSub
+};
\ No newline at end of file
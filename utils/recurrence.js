@@ -0,0 +1,173 @@
+/**
+ * Recurrence rules for event series
+ *
+ * A rule looks like { frequency, interval, count, until, exceptions } and is
+ * expanded into concrete occurrence dates. Semantics follow RFC 5545 RRULE:
+ * - count includes dates later removed as exceptions (like EXDATE)
+ * - until is inclusive
+ * - monthly rules skip months that don't have the start day (e.g. the 31st)
+ * - steps are taken in the series' time zone, so a weekly 18:00 meetup stays
+ *   at 18:00 local time across daylight saving changes
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Hard cap so a single series can't flood the events collection
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES) || 100;
+
+/**
+ * Calendar day key used to match exception dates.
+ * Plain "YYYY-MM-DD" strings are taken as-is, instants are read in the time zone.
+ * @param {Date|string} date - Date
+ * @param {string} [timeZone] - IANA time zone (default UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+const toDayKey = (date, timeZone) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+
+  if (!timeZone) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  const p = getZonedParts(new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Date of the nth step of a rule, or null if that step doesn't exist
+ * @param {Date} start - First occurrence
+ * @param {string} frequency - daily | weekly | monthly
+ * @param {number} steps - Number of intervals after start
+ * @param {string} [timeZone] - IANA time zone the rule is anchored to (default UTC)
+ * @returns {Date|null} Occurrence date
+ */
+const addSteps = (start, frequency, steps, timeZone) => {
+  // Step through wall-clock time, stored in a Date's UTC fields
+  const wall = timeZone ? getZonedParts(start, timeZone) : null;
+  const origin = wall
+    ? new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second))
+    : start;
+  const date = new Date(origin.getTime());
+
+  if (frequency === 'daily') {
+    date.setUTCDate(date.getUTCDate() + steps);
+  } else if (frequency === 'weekly') {
+    date.setUTCDate(date.getUTCDate() + steps * 7);
+  } else {
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + steps);
+    date.setUTCDate(origin.getUTCDate());
+
+    // Day overflowed into the next month (e.g. Feb 31st) - no occurrence
+    if (date.getUTCDate() !== origin.getUTCDate()) {
+      return null;
+    }
+  }
+
+  if (!wall) {
+    return date;
+  }
+
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, timeZone);
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {object} rule - Recurrence rule
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+const validateRule = (rule) => {
+  if (!rule || !FREQUENCIES.includes(rule.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return 'Recurrence interval must be a positive whole number';
+  }
+
+  if (rule.count === undefined && !rule.until) {
+    return 'Recurrence needs either a count or an until date';
+  }
+
+  if (rule.count !== undefined) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+  }
+
+  if (rule.until && isNaN(new Date(rule.until).getTime())) {
+    return 'Recurrence until must be a valid date';
+  }
+
+  if (rule.exceptions !== undefined) {
+    if (!Array.isArray(rule.exceptions)) {
+      return 'Recurrence exceptions must be a list of dates';
+    }
+
+    if (rule.exceptions.some(date => !date || isNaN(new Date(date).getTime()))) {
+      return 'Recurrence exceptions must be valid dates';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Expand a recurrence rule into occurrence dates
+ * @param {object} rule - { frequency, interval, count, until, exceptions }
+ * @param {Date|string} startDate - Date and time of the first occurrence
+ * @param {string} [timeZone] - IANA time zone the rule is anchored to (default UTC)
+ * @returns {Date[]} Occurrence dates in ascending order
+ */
+const generateOccurrences = (rule, startDate, timeZone) => {
+  const start = new Date(startDate);
+  const interval = Number(rule.interval) || 1;
+  const until = rule.until ? new Date(rule.until) : null;
+  const count = rule.count !== undefined ? Number(rule.count) : MAX_OCCURRENCES;
+  const exceptions = new Set((rule.exceptions || []).map(date => toDayKey(date, timeZone)));
+
+  const occurrences = [];
+  let generated = 0;
+
+  // Monthly rules can skip steps, so bound the loop by steps rather than results
+  for (let step = 0; generated < count && step < MAX_OCCURRENCES * 2; step++) {
+    const date = addSteps(start, rule.frequency, step * interval, timeZone);
+
+    if (!date) {
+      continue;
+    }
+
+    if (until && date > until) {
+      break;
+    }
+
+    generated++;
+
+    if (!exceptions.has(toDayKey(date, timeZone))) {
+      occurrences.push(date);
+    }
+  }
+
+  return occurrences.slice(0, MAX_OCCURRENCES);
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  toDayKey,
+  validateRule,
+  generateOccurrences
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken } = require('./generateToken');
+
+/**
+ * Read client details recorded on a session
+ * @param {object} req - Express request
+ * @returns {object} userAgent and ip
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+/**
+ * Expiry date of a signed refresh token
+ * @param {string} refreshToken - Refresh Token
+ * @returns {Date} Expiry date
+ */
+const getTokenExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {object} req - Express request (for device details)
+ * @returns {Promise<object>} { token, refreshToken, session }
+ */
+const createSession = async (userId, req) => {
+  const session = new Session({ user: userId, ...getClientInfo(req) });
+  const refreshToken = generateRefreshToken(userId, session._id.toString());
+
+  session.tokenHash = Session.hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return {
+    token: generateToken(userId, session._id.toString()),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Rotate a session's refresh token.
+ *
+ * The swap only succeeds if the presented token is still the session's
+ * current one. A valid but already-rotated token means it was replayed, so
+ * the whole session is revoked (reuse detection).
+ *
+ * @param {object} decoded - Verified refresh token payload
+ * @param {string} presentedToken - Refresh token sent by the client
+ * @param {object} req - Express request (for device details)
+ * @returns {Promise<object|null>} { token, refreshToken, session } or null if rejected
+ */
+const rotateSession = async (decoded, presentedToken, req) => {
+  const refreshToken = generateRefreshToken(decoded.id, decoded.sid);
+
+  // ATOMIC UPDATE - Only the holder of the current token can rotate
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: decoded.id,
+      tokenHash: Session.hashToken(presentedToken),
+      revokedAt: null
+    },
+    {
+      tokenHash: Session.hashToken(refreshToken),
+      expiresAt: getTokenExpiry(refreshToken),
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Token is genuine but stale: someone is replaying it
+    await Session.updateOne(
+      { _id: decoded.sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+    );
+    return null;
+  }
+
+  return {
+    token: generateToken(decoded.id, decoded.sid),
+    refreshToken,
+    session
+  };
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  rotateSession
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Event tag helpers
+ */
+
+/**
+ * Parse tags from an array or a comma-separated string
+ * @param {string|string[]} value - Tags as sent by the client
+ * @returns {string[]} Trimmed tags without empty entries or duplicates
+ */
+const parseTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+module.exports = {
+  parseTags
+};
\ No newline at end of file
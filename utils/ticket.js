@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Signed ticket codes for confirmed RSVPs
+ *
+ * A ticket code is "<rsvpId>.<signature>" where the signature is an
+ * HMAC-SHA256 over the RSVP, event and user IDs and the RSVP's ticket
+ * version. Codes can be recomputed at any time, so nothing secret is stored,
+ * and they can't be forged or moved to another event without TICKET_SECRET.
+ * Reactivating a cancelled RSVP bumps the version, so codes issued before
+ * the cancellation stay invalid.
+ */
+
+const getSecret = () => {
+  const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('TICKET_SECRET or JWT_SECRET must be defined in environment variables');
+  }
+
+  return secret;
+};
+
+/**
+ * Compute the signature for an RSVP
+ * @param {object} rsvp - RSVP document (user and event may be populated)
+ * @returns {string} base64url signature
+ */
+const sign = (rsvp) => {
+  const eventId = rsvp.event._id || rsvp.event;
+  const userId = rsvp.user._id || rsvp.user;
+
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`ticket:${rsvp._id}:${eventId}:${userId}:${rsvp.ticketVersion || 0}`)
+    .digest('base64url');
+};
+
+/**
+ * Generate the ticket code for an RSVP
+ * @param {object} rsvp - RSVP document
+ * @returns {string} Ticket code
+ */
+const generateTicketCode = (rsvp) => `${rsvp._id}.${sign(rsvp)}`;
+
+/**
+ * Extract the RSVP ID from a ticket code (does not verify it)
+ * @param {string} code - Ticket code
+ * @returns {string|null} RSVP ID, or null if the code is malformed
+ */
+const parseTicketCode = (code) => {
+  const match = /^([a-f0-9]{24})\.([A-Za-z0-9_-]+)$/.exec(String(code || '').trim());
+  return match ? match[1] : null;
+};
+
+/**
+ * Check that a ticket code was issued for the given RSVP
+ * @param {string} code - Ticket code
+ * @param {object} rsvp - RSVP document the code claims to belong to
+ * @returns {boolean} True if the signature matches
+ */
+const verifyTicketCode = (code, rsvp) => {
+  const expected = Buffer.from(generateTicketCode(rsvp));
+  const actual = Buffer.from(String(code || '').trim());
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  generateTicketCode,
+  parseTicketCode,
+  verifyTicketCode
+};
\ No newline at end of file
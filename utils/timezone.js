@@ -0,0 +1,128 @@
+/**
+ * IANA time zone helpers built on Intl (no external tz database needed)
+ */
+
+/**
+ * Check whether a string is a valid IANA time zone (e.g. Europe/Berlin)
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the runtime knows the zone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {object} { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') {
+      acc[part.type] = parseInt(part.value);
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * (wall times skipped by a DST jump resolve to a nearby valid instant)
+ * @param {object} wall - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+const zonedTimeToUtc = (wall, timeZone) => {
+  const naive = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0);
+
+  // Two passes settle the offset around DST transitions
+  let utc = naive - getOffsetMs(new Date(naive), timeZone);
+  utc = naive - getOffsetMs(new Date(utc), timeZone);
+
+  return new Date(utc);
+};
+
+/**
+ * Wall-clock time of an instant as milliseconds on a UTC time line
+ * (only meaningful for differences between wall-clock times)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds
+ */
+const toWallClockMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) + date.getTime() % 1000;
+};
+
+/**
+ * Wall-clock difference between two instants in a time zone
+ * (e.g. "one day later, one hour earlier" even across a DST change)
+ * @param {Date} from - Instant
+ * @param {Date} to - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Difference in milliseconds
+ */
+const wallClockDiff = (from, to, timeZone) => toWallClockMs(to, timeZone) - toWallClockMs(from, timeZone);
+
+/**
+ * Move an instant by a wall-clock amount in a time zone, so an 18:00 start
+ * stays at the same local time on the other side of a DST change
+ * @param {Date} date - Instant
+ * @param {number} ms - Wall-clock amount (see wallClockDiff)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+const addWallClockMs = (date, ms, timeZone) => {
+  const wall = new Date(toWallClockMs(date, timeZone) + ms);
+
+  return zonedTimeToUtc({
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: wall.getUTCSeconds()
+  }, timeZone);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  wallClockDiff,
+  addWallClockMs
+};
\ No newline at end of file
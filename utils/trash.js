@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventInvite = require('../models/EventInvite');
+const RSVP = require('../models/RSVP');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Comment = require('../models/Comment');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { notifyAttendees } = require('./notifications');
+const { releaseRSVP } = require('./eventLifecycle');
+const { dispatchWebhookEvent, eventWebhookData } = require('./webhooks');
+const { removeUserExports } = require('./dataExport');
+
+/**
+ * Soft deletion for events and accounts
+ *
+ * Deleting moves an event to the trash (deletedAt is set and the Event query
+ * middleware hides it everywhere) or marks an account as deleted. Both can be
+ * restored until purgeAt, after which the trash-purge job removes them and
+ * everything that belongs to them for good.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grace periods before permanent removal
+const EVENT_TRASH_MS = (parseInt(process.env.EVENT_TRASH_DAYS) || 30) * DAY_MS;
+const ACCOUNT_GRACE_MS = (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * DAY_MS;
+
+/**
+ * Move an event to the trash. RSVPs stay untouched so a restore brings
+ * everything back; attendees are told the event was removed.
+ * @param {object} event - Event document
+ * @param {object} options - { deletedBy, cause } cause is 'owner' or 'account'
+ * @returns {Promise<object|null>} The trashed event, or null if it already was
+ */
+const trashEvent = async (event, { deletedBy, cause = 'owner' }) => {
+  // Step 1: ATOMIC UPDATE - Only one request can trash the event
+  const trashed = await Event.findOneAndUpdate(
+    { _id: event._id, deletedAt: null },
+    {
+      deletedAt: new Date(),
+      deletedBy,
+      deletionCause: cause,
+      purgeAt: new Date(Date.now() + EVENT_TRASH_MS),
+      $inc: { sequence: 1 } // Calendar feeds show it as cancelled now
+    },
+    { new: true }
+  );
+
+  if (!trashed) {
+    return null;
+  }
+
+  // Step 2: Tell attendees and the owner's webhooks
+  await notifyAttendees(trashed._id, {
+    type: 'event_deleted',
+    title: `${trashed.title} has been removed`,
+    message: cause === 'account'
+      ? 'The organizer deleted their account.'
+      : 'The organizer deleted this event.',
+    data: { eventTitle: trashed.title, date: trashed.date }
+  }, { exclude: deletedBy });
+
+  await dispatchWebhookEvent(trashed.organizer, 'event.deleted', {
+    event: eventWebhookData(trashed),
+    deletedBy: deletedBy ? String(deletedBy) : null,
+    purgeAt: trashed.purgeAt
+  });
+
+  return trashed;
+};
+
+/**
+ * Take an event out of the trash (only before it is purged)
+ * @param {object} event - Trashed event document
+ * @param {object} options - { restoredBy }
+ * @returns {Promise<object|null>} The restored event, or null if it can't be restored
+ */
+const restoreEvent = async (event, { restoredBy }) => {
+  // ATOMIC UPDATE - The purge job skips events restored in the meantime
+  const restored = await Event.findOneAndUpdate(
+    { _id: event._id, deletedAt: { $ne: null }, purgeAt: { $gt: new Date() } },
+    { $unset: { deletedAt: 1, deletedBy: 1, deletionCause: 1, purgeAt: 1 }, $inc: { sequence: 1 } },
+    { new: true }
+  );
+
+  if (!restored) {
+    return null;
+  }
+
+  await notifyAttendees(restored._id, {
+    type: 'event_updated',
+    title: `${restored.title} is back`,
+    message: 'The organizer restored this event. Your RSVP is unchanged.',
+    data: { eventTitle: restored.title, date: restored.date }
+  }, { exclude: restoredBy });
+
+  await dispatchWebhookEvent(restored.organizer, 'event.restored', {
+    event: eventWebhookData(restored),
+    restoredBy: restoredBy ? String(restoredBy) : null
+  });
+
+  return restored;
+};
+
+/**
+ * Permanently remove an event with its RSVPs, comments, reviews, invites and notifications
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+const purgeEvent = async (eventId) => {
+  const reviews = await Review.find({ event: eventId }).select('organizer');
+
+  await Promise.all([
+    RSVP.deleteMany({ event: eventId }),
+    Comment.deleteMany({ event: eventId }),
+    Review.deleteMany({ event: eventId }),
+    EventInvite.deleteMany({ event: eventId }),
+    Notification.deleteMany({ event: eventId })
+  ]);
+
+  await Event.deleteOne({ _id: eventId }).setOptions({ withDeleted: true });
+
+  // Drop the deleted reviews from organizer ratings
+  const organizerIds = [...new Set(reviews.map(review => String(review.organizer)))];
+  await Promise.all(organizerIds.map(organizerId => Review.updateAggregates(eventId, organizerId)));
+};
+
+/**
+ * Delete an account for the grace period: sign the user out everywhere,
+ * leave every event they attend or wait for (seats go to the waitlist),
+ * trash the events they organize and drop them from event teams.
+ * @param {object} user - User document
+ * @returns {Promise<object|null>} The deleted user, or null if already deleted
+ */
+const deleteAccount = async (user) => {
+  // Step 1: ATOMIC UPDATE - Mark the account deleted
+  const deleted = await User.findOneAndUpdate(
+    { _id: user._id, status: { $ne: 'deleted' } },
+    {
+      status: 'deleted',
+      deletedAt: new Date(),
+      purgeAt: new Date(Date.now() + ACCOUNT_GRACE_MS)
+    },
+    { new: true }
+  ).select('-password');
+
+  if (!deleted) {
+    return null;
+  }
+
+  await Session.revokeAllForUser(deleted._id, 'account-deleted');
+
+  // Step 2: Leave events (decrements counts and promotes the waitlist)
+  const rsvps = await RSVP.find({ user: deleted._id, status: { $in: ['confirmed', 'waitlist'] } })
+    .select('event user status');
+
+  for (const rsvp of rsvps) {
+    await releaseRSVP(rsvp, { cancellationReason: 'account_deleted' });
+  }
+
+  // Step 3: Trash organized events and leave event teams
+  const events = await Event.find({ organizer: deleted._id });
+
+  for (const event of events) {
+    await trashEvent(event, { deletedBy: deleted._id, cause: 'account' });
+  }
+
+  await Event.updateMany(
+    { 'staff.user': deleted._id },
+    { $pull: { staff: { user: deleted._id } } }
+  );
+
+  return deleted;
+};
+
+/**
+ * Restore a deleted account within its grace period, with the events that
+ * were trashed along with it. Left events and team roles are not restored.
+ * @param {object} user - Deleted user document
+ * @returns {Promise<object|null>} The restored user, or null if it can't be restored
+ */
+const restoreAccount = async (user) => {
+  const restored = await User.findOneAndUpdate(
+    { _id: user._id, status: 'deleted', purgeAt: { $gt: new Date() } },
+    {
+      status: 'active',
+      $unset: { deletedAt: 1, purgeAt: 1 }
+    },
+    { new: true }
+  ).select('-password');
+
+  if (!restored) {
+    return null;
+  }
+
+  const events = await Event.find({
+    organizer: restored._id,
+    deletedAt: { $ne: null },
+    deletionCause: 'account'
+  });
+
+  for (const event of events) {
+    await restoreEvent(event, { restoredBy: restored._id });
+  }
+
+  return restored;
+};
+
+/**
+ * Permanently remove an account and everything it owns. Comments are
+ * blanked like deleted comments so discussions stay readable.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const purgeAccount = async (userId) => {
+  // Step 1: Organized events and series
+  const eventIds = await Event.distinct('_id', { organizer: userId }).setOptions({ withDeleted: true });
+
+  for (const eventId of eventIds) {
+    await purgeEvent(eventId);
+  }
+
+  await EventSeries.deleteMany({ organizer: userId });
+
+  // Step 2: Reviews written by the user (ratings recomputed afterwards)
+  const reviews = await Review.find({ user: userId }).select('event organizer');
+  await Review.deleteMany({ user: userId });
+
+  for (const review of reviews) {
+    await Review.updateAggregates(review.event, review.organizer);
+  }
+
+  // Step 3: Comments - top-level ones take their replies along, as in deleteComment
+  const deletion = {
+    $set: { status: 'deleted', isPinned: false },
+    $unset: { body: 1 }
+  };
+
+  const replyCounts = await Comment.aggregate([
+    { $match: { author: new mongoose.Types.ObjectId(String(userId)), parent: { $ne: null }, status: { $ne: 'deleted' } } },
+    { $group: { _id: '$parent', count: { $sum: 1 } } }
+  ]);
+
+  for (const { _id, count } of replyCounts) {
+    await Comment.updateOne({ _id }, { $inc: { replyCount: -count } });
+  }
+
+  const topLevelIds = await Comment.distinct('_id', { author: userId, parent: null });
+  await Comment.updateMany({ author: userId, status: { $ne: 'deleted' } }, deletion);
+  await Comment.updateMany({ parent: { $in: topLevelIds }, status: { $ne: 'deleted' } }, deletion);
+
+  // Step 4: Everything else the account owns
+  const webhookIds = await Webhook.distinct('_id', { owner: userId });
+
+  await Promise.all([
+    RSVP.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } }),
+    Webhook.deleteMany({ owner: userId }),
+    Session.deleteMany({ user: userId }),
+    removeUserExports(userId)
+  ]);
+
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = {
+  trashEvent,
+  restoreEvent,
+  purgeEvent,
+  deleteAccount,
+  restoreAccount,
+  purgeAccount
+};
\ No newline at end of file
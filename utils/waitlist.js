@@ -0,0 +1,132 @@
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const { notifyUsers } = require('./notifications');
+
+/**
+ * Check whether an event currently has anyone waiting for a spot
+ * @param {string} eventId - Event ID
+ * @returns {Promise<boolean>} True if at least one RSVP is waitlisted
+ */
+const hasWaitlist = async (eventId) => {
+  return !!(await RSVP.exists({ event: eventId, status: 'waitlist' }));
+};
+
+// Tell a waitlisted user they got a seat
+const notifyPromoted = (rsvp, event) => notifyUsers([rsvp.user], {
+  type: 'waitlist_promoted',
+  title: `A spot opened up - you're now attending ${event.title}`,
+  event: event._id,
+  data: { eventTitle: event.title }
+});
+
+/**
+ * Promote the oldest waitlisted RSVP of an event to confirmed.
+ *
+ * A seat is reserved first with the same atomic $expr capacity check used by
+ * createRSVP, so promotion can never push currentAttendees past capacity.
+ * If nobody is waiting the reserved seat is released again.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<object|null>} The promoted RSVP, or null if nobody was promoted
+ */
+const promoteFromWaitlist = async (eventId) => {
+  // Step 1: ATOMIC UPDATE - Reserve a seat only if capacity allows
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $ne: 'cancelled' },
+      $expr: { $lt: ['$currentAttendees', '$capacity'] }
+    },
+    { $inc: { currentAttendees: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  // Step 2: Claim the oldest waitlist entry
+  const rsvp = await RSVP.findOneAndUpdate(
+    { event: eventId, status: 'waitlist' },
+    { status: 'confirmed', promotedAt: new Date() },
+    { sort: { rsvpDate: 1, _id: 1 }, new: true }
+  );
+
+  // Step 3: Nobody waiting - give the seat back
+  if (!rsvp) {
+    await Event.findByIdAndUpdate(eventId, { $inc: { currentAttendees: -1 } });
+    return null;
+  }
+
+  await Event.findByIdAndUpdate(eventId, { $addToSet: { attendees: rsvp.user } });
+  await notifyPromoted(rsvp, event);
+
+  return rsvp;
+};
+
+/**
+ * Promote waitlisted RSVPs until the event is full or nobody is left waiting
+ * (after the capacity went up - new RSVPs queue behind the waitlist, so the
+ * extra seats would otherwise stay empty)
+ * @param {string} eventId - Event ID
+ * @returns {Promise<object[]>} The promoted RSVPs
+ */
+const fillOpenSeats = async (eventId) => {
+  const promoted = [];
+  let rsvp;
+
+  while ((rsvp = await promoteFromWaitlist(eventId))) {
+    promoted.push(rsvp);
+  }
+
+  return promoted;
+};
+
+/**
+ * Give up a confirmed attendee's seat.
+ *
+ * When someone is waiting, the seat goes straight to the oldest waitlisted
+ * RSVP and currentAttendees never drops, so a concurrent createRSVP can't
+ * take it from them (FIFO). Otherwise the seat is freed; anyone who joined
+ * the waitlist in the meantime is then promoted as usual.
+ *
+ * @param {string} eventId - Event ID (trashed events only free the seat)
+ * @param {string} userId - User leaving the event
+ * @returns {Promise<object|null>} The promoted RSVP, or null if nobody was promoted
+ */
+const releaseSeat = async (eventId, userId) => {
+  // Step 1: Claim the oldest waitlist entry of a live event - the seat changes hands
+  const event = await Event.findOne({ _id: eventId, status: { $ne: 'cancelled' } }).select('title');
+
+  const rsvp = event && await RSVP.findOneAndUpdate(
+    { event: eventId, status: 'waitlist' },
+    { status: 'confirmed', promotedAt: new Date() },
+    { sort: { rsvpDate: 1, _id: 1 }, new: true }
+  );
+
+  if (rsvp) {
+    await Event.findByIdAndUpdate(eventId, { $pull: { attendees: userId } });
+    await Event.findByIdAndUpdate(eventId, { $addToSet: { attendees: rsvp.user } });
+    await notifyPromoted(rsvp, event);
+    return rsvp;
+  }
+
+  // Step 2: ATOMIC UPDATE - Nobody waiting, free the seat (trashed events too, so a restore adds up)
+  await Event.findByIdAndUpdate(
+    eventId,
+    {
+      $inc: { currentAttendees: -1 },
+      $pull: { attendees: userId }
+    },
+    { withDeleted: true }
+  );
+
+  return promoteFromWaitlist(eventId);
+};
+
+module.exports = {
+  hasWaitlist,
+  promoteFromWaitlist,
+  fillOpenSeats,
+  releaseSeat
+};
\ No newline at end of file
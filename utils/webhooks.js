@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+/**
+ * Outbound webhooks
+ *
+ * Activity is queued as WebhookDelivery documents and sent by the
+ * webhook-delivery job (and right away after queuing). Every request is
+ * signed: X-Webhook-Signature is "sha256=" + HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" with the webhook's secret, so receivers
+ * can verify the sender and reject replays. Failed attempts are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// How long a worker may hold a delivery before someone else can pick it up
+const CLAIM_MS = TIMEOUT_MS + 30 * 1000;
+
+// Cap on stored response bodies
+const MAX_RESPONSE_BODY = 2000;
+
+/**
+ * Check whether an IP address is loopback, private or link-local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address belongs to this network
+ */
+const isPrivateAddress = (address) => {
+  const host = address.toLowerCase();
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  return host === '::1' || host === '::' || /^f[cd]/.test(host) || host.startsWith('fe80') || host.startsWith('::ffff:');
+};
+
+/**
+ * Check that a URL is a plain http(s) URL that doesn't point at this network
+ * (private hosts are allowed when WEBHOOK_ALLOW_PRIVATE_URLS=true, e.g. in development)
+ * @param {string} value - URL
+ * @returns {boolean} True if webhooks may be sent there
+ */
+const isAllowedWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    return false;
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return true;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return false;
+  }
+
+  if (net.isIP(host)) {
+    return !isPrivateAddress(host);
+  }
+
+  return true;
+};
+
+/**
+ * Resolve a webhook URL's host right before sending and make sure none of its
+ * addresses is on this network (a public name may point at 127.0.0.1 or
+ * 169.254.169.254). Throws so the attempt is recorded as failed.
+ * @param {string} value - Webhook URL (already checked by isAllowedWebhookUrl)
+ * @returns {Promise<void>}
+ */
+const assertPublicHost = async (value) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return;
+  }
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Could not resolve webhook host ${host}`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook host resolves to a private address');
+  }
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+};
+
+/**
+ * Delay before the next attempt (doubles each time, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+/**
+ * Send one attempt of a delivery and record the outcome
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<object>} Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  // Webhook deleted or switched off since the delivery was queued
+  if (!webhook || (!webhook.active && delivery.event !== 'ping')) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: new Date(), error: 'Webhook is disabled or deleted' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date() };
+
+  try {
+    if (!isAllowedWebhookUrl(webhook.url)) {
+      throw new Error('Webhook URL is not allowed');
+    }
+    await assertPublicHost(webhook.url);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EventPlatform-Webhooks/1.0',
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    attempt.responseStatus = response.status;
+    delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+
+    if (!response.ok) {
+      attempt.error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS || delivery.event === 'ping') {
+    // Pings are a one-off check and aren't retried
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status }
+    );
+  }
+
+  return delivery;
+};
+
+/**
+ * Claim a due delivery so no other worker sends it at the same time
+ * @param {object} [filter] - Extra conditions (e.g. a specific delivery)
+ * @returns {Promise<object|null>} Claimed delivery
+ */
+const claimDelivery = (filter = {}) => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Try to send a delivery right away (skipped if another worker has it)
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} Updated delivery, or null if it wasn't due
+ */
+const deliverNow = async (deliveryId) => {
+  const delivery = await claimDelivery({ _id: deliveryId });
+  return delivery ? attemptDelivery(delivery) : null;
+};
+
+/**
+ * Send due deliveries (used by the webhook-delivery job)
+ * @param {number} [limit] - Maximum deliveries per run
+ * @returns {Promise<object>} Counts per outcome
+ */
+const processDueDeliveries = async (limit = 50) => {
+  const result = { succeeded: 0, failed: 0, retrying: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const delivery = await claimDelivery();
+    if (!delivery) {
+      break;
+    }
+
+    const updated = await attemptDelivery(delivery);
+    result[updated.status === 'pending' ? 'retrying' : updated.status] += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Build the JSON body sent for an event
+ * @param {string} event - Event name
+ * @param {object} data - Event data
+ * @param {string} deliveryId - Delivery ID
+ * @returns {object} Payload
+ */
+const buildPayload = (event, data, deliveryId) => ({
+  id: deliveryId.toString(),
+  event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+/**
+ * Webhook data describing an event
+ * @param {object} event - Event document
+ * @returns {object} Event summary
+ */
+const eventWebhookData = (event) => ({
+  id: event._id.toString(),
+  title: event.title,
+  date: event.date,
+  endDate: event.endDate,
+  timezone: event.timezone,
+  location: event.location,
+  status: event.status,
+  capacity: event.capacity,
+  currentAttendees: event.currentAttendees
+});
+
+/**
+ * Webhook data describing an RSVP change
+ * @param {object} rsvp - RSVP document
+ * @param {object} event - Event document
+ * @param {object} user - User who owns the RSVP
+ * @returns {object} RSVP summary
+ */
+const rsvpWebhookData = (rsvp, event, user) => ({
+  rsvpId: rsvp._id.toString(),
+  status: rsvp.status,
+  event: { id: event._id.toString(), title: event.title },
+  user: { id: user._id.toString(), name: user.name, email: user.email }
+});
+
+/**
+ * Queue an event for every active webhook of an organizer subscribed to it
+ * and start delivering in the background. Never throws - webhook problems
+ * must not fail the request that produced the activity.
+ * @param {string} ownerId - Organizer user ID
+ * @param {string} event - Event name, e.g. rsvp.created
+ * @param {object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const dispatchWebhookEvent = async (ownerId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({ owner: ownerId, active: true, events: event }).select('_id');
+
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+      const _id = new mongoose.Types.ObjectId();
+      return { _id, webhook: webhook._id, event, payload: buildPayload(event, data, _id) };
+    }));
+
+    deliveries.forEach(delivery => {
+      deliverNow(delivery._id).catch(error => console.error('Webhook Delivery Error:', error));
+    });
+
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Webhook Dispatch Error (${event}):`, error);
+    return 0;
+  }
+};
+
+/**
+ * Send a test ping to one webhook and wait for the result
+ * @param {object} webhook - Webhook document
+ * @returns {Promise<object>} Delivery with the attempt result
+ */
+const sendPing = async (webhook) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  const delivery = await WebhookDelivery.create({
+    _id,
+    webhook: webhook._id,
+    event: 'ping',
+    payload: buildPayload('ping', { webhookId: webhook._id.toString(), message: 'Test ping' }, _id)
+  });
+
+  return (await deliverNow(delivery._id)) || delivery;
+};
+
+module.exports = {
+  isAllowedWebhookUrl,
+  signPayload,
+  retryDelay,
+  attemptDelivery,
+  processDueDeliveries,
+  eventWebhookData,
+  rsvpWebhookData,
+  dispatchWebhookEvent,
+  sendPing
+};
\ No newline at end of file